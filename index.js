@@ -2,33 +2,186 @@
 const express = require("express");
 const fs = require("fs");
 const path = require("path");
-const pino = require("pino");
 const multer = require("multer");
-const {
-    useMultiFileAuthState,
-    delay,
-    makeCacheableSignalKeyStore,
-    Browsers,
-    fetchLatestBaileysVersion,
-    makeWASocket,
-    isJidBroadcast
-} = require("@whiskeysockets/baileys");
+const { delay } = require("@whiskeysockets/baileys");
+const taskStore = require("./lib/task-store");
+const accounts = require("./lib/accounts");
+const deliveryTracker = require("./lib/delivery-tracker");
+const media = require("./lib/media");
+const templates = require("./lib/templates");
+const schedules = require("./lib/schedules");
+const liveEvents = require("./lib/live-events");
+const consent = require("./lib/consent");
+const policy = require("./lib/policy");
+const audit = require("./lib/audit");
+const logs = require("./lib/logs");
+const connections = require("./lib/connections");
+const authState = require("./lib/auth-state");
+const sessionBackup = require("./lib/session-backup");
+const transport = require("./lib/transport");
+const groupCache = require("./lib/group-cache");
+const audiences = require("./lib/audiences");
+const taskHistory = require("./lib/task-history");
+const webhooks = require("./lib/webhooks");
 
 const app = express();
 const PORT = process.env.PORT || 21129;
+// How long SIGTERM/SIGINT wait for running tasks before exiting anyway.
+// Render sends SIGKILL 30s after SIGTERM.
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000;
+// Set once a shutdown signal arrives; running tasks stop after their
+// current message and no new requests that change anything are accepted
+let shuttingDown = false;
 
 if (!fs.existsSync("temp")) fs.mkdirSync("temp");
 if (!fs.existsSync("uploads")) fs.mkdirSync("uploads");
 
-const upload = multer({ dest: "uploads/" });
+const upload = multer({ dest: "uploads/", limits: { fileSize: media.MAX_ATTACHMENT_BYTES } });
+const MAX_ATTACHMENTS = 10;
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, "public")));
 
+app.use((req, res, next) => {
+    if (!shuttingDown || req.method === "GET") return next();
+    res.set("Connection", "close");
+    res.status(503).json({ error: "Server is shutting down. Please retry in a moment." });
+});
+
 app.get("/", (req, res) => {
     res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+// --- AUTHENTICATION ---
+// Every route below requires an API token (Authorization: Bearer <token>) or
+// the web login cookie. The owner of sessions and tasks is always the
+// authenticated account, never a request parameter.
+const AUTH_COOKIE = "wbs_token";
+const PUBLIC_ROUTES = new Set(["/auth/login", "/auth/register"]);
+// Off by default: admins create accounts (POST /api/admin/accounts), and the
+// first admin registers with ADMIN_BOOTSTRAP_TOKEN or a name in ADMIN_USERS
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === "true";
+
+function readAuthToken(req) {
+    const header = req.get("authorization");
+    if (header?.startsWith("Bearer ")) return header.slice(7).trim();
+
+    const cookie = (req.get("cookie") || "")
+        .split(";")
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${AUTH_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(AUTH_COOKIE.length + 1)) : null;
+}
+
+function setAuthCookie(res, token, maxAgeMs) {
+    const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+    const value = token ? encodeURIComponent(token) : "";
+    res.setHeader("Set-Cookie",
+        `${AUTH_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`);
+}
+
+app.use((req, res, next) => {
+    if (PUBLIC_ROUTES.has(req.path)) return next();
+
+    const auth = accounts.authenticateToken(readAuthToken(req));
+    if (!auth) {
+        return res.status(401).json({ error: "Authentication required. Log in or send an API token." });
+    }
+
+    req.account = auth.account;
+    req.tokenId = auth.tokenId;
+    req.ownerId = auth.account.id;
+    next();
+});
+
+// Whether sessions or tasks were created under `ownerId` before it had an
+// account (sessions predating accounts, or restored from a backup). Such an
+// owner ID can only be claimed through an admin, never by self-registration.
+function ownerIdHasData(ownerId) {
+    if (typeof ownerId !== "string" || !ownerId) return false;
+    for (const sessionInfo of activeClients.values()) {
+        if (sessionInfo.ownerId === ownerId) return true;
+    }
+    for (const taskInfo of activeTasks.values()) {
+        if (taskInfo.ownerId === ownerId) return true;
+    }
+    return taskHistory.query(ownerId).length > 0;
+}
+
+app.post("/auth/register", (req, res) => {
+    const bootstrap = accounts.bootstrapsAdmin(req.body.username, req.body.bootstrapToken);
+    if (!ALLOW_REGISTRATION && !bootstrap) {
+        return res.status(403).json({ error: "Registration is disabled on this server. Ask an admin to create your account." });
+    }
+    if (ownerIdHasData(req.body.username)) {
+        return res.status(409).json({ error: "This username owns existing sessions. Ask an admin to create the account for it." });
+    }
+
+    try {
+        const account = accounts.createAccount(req.body.username, req.body.password, { role: bootstrap ? "admin" : "owner" });
+        const { token, tokenInfo } = accounts.issueToken(account.id, { type: "login" });
+        setAuthCookie(res, token, new Date(tokenInfo.expiresAt) - Date.now());
+        console.log(`👤 Account registered: ${account.username}${bootstrap ? " (admin bootstrap)" : ""}`);
+        res.json({ success: true, account: accounts.publicAccount(account), token });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.post("/auth/login", (req, res) => {
+    const account = accounts.verifyPassword(req.body.username, req.body.password);
+    if (!account) {
+        return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    const { token, tokenInfo } = accounts.issueToken(account.id, { type: "login" });
+    setAuthCookie(res, token, new Date(tokenInfo.expiresAt) - Date.now());
+    res.json({ success: true, account: accounts.publicAccount(account), token });
+});
+
+app.post("/auth/logout", (req, res) => {
+    accounts.revokeToken(req.ownerId, req.tokenId);
+    setAuthCookie(res, null, 0);
+    res.json({ success: true });
+});
+
+app.get("/auth/me", (req, res) => {
+    res.json({ account: accounts.publicAccount(req.account) });
+});
+
+app.get("/auth/tokens", (req, res) => {
+    res.json({ tokens: accounts.listTokens(req.ownerId) });
+});
+
+app.post("/auth/tokens", (req, res) => {
+    const { token, tokenInfo } = accounts.issueToken(req.ownerId, { label: req.body.label, type: "api" });
+    res.json({
+        success: true,
+        token,
+        tokenInfo,
+        message: "Store this token now. It cannot be shown again."
+    });
+});
+
+app.delete("/auth/tokens/:tokenId", (req, res) => {
+    if (!accounts.revokeToken(req.ownerId, req.params.tokenId)) {
+        return res.status(404).json({ error: "Token not found" });
+    }
+    res.json({ success: true });
+});
+
+// Audit entry attributed to the authenticated caller
+function auditRequest(req, action, fields = {}) {
+    return audit.record({
+        ownerId: req.ownerId,
+        actor: req.account?.username || req.ownerId,
+        tokenId: req.tokenId || null,
+        ip: req.ip,
+        action,
+        ...fields
+    });
+}
+
 // --- SESSION MANAGEMENT ---
 const activeClients = new Map();
 const activeTasks = new Map();
@@ -37,6 +190,22 @@ function safeDeleteFile(p) {
     try { if (p && fs.existsSync(p)) fs.unlinkSync(p); } catch (e) { }
 }
 
+function discardUploads(req) {
+    Object.values(req.files || {}).flat().forEach(file => safeDeleteFile(file.path));
+    safeDeleteFile(req.file?.path);
+}
+
+// Run a multer middleware but answer upload errors (size, field count) as JSON
+function handleUpload(middleware) {
+    return (req, res, next) => middleware(req, res, (err) => {
+        if (err) {
+            discardUploads(req);
+            return res.status(400).json({ error: `Upload failed: ${err.message}` });
+        }
+        next();
+    });
+}
+
 function generateDisplayCode() {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
     let result = '';
@@ -46,12 +215,224 @@ function generateDisplayCode() {
     return result;
 }
 
+// Each session directory keeps a meta.json sidecar next to the Baileys auth
+// files so the owner, number and device info survive a restart
+const SESSION_META_FILE = "meta.json";
+
+function saveSessionMeta(sessionId, sessionInfo) {
+    if (!sessionInfo.authPath || !fs.existsSync(sessionInfo.authPath)) return;
+    const meta = {
+        sessionId,
+        ownerId: sessionInfo.ownerId,
+        number: sessionInfo.number,
+        deviceInfo: sessionInfo.deviceInfo || null,
+        pairedAt: sessionInfo.pairedAt || null,
+        suspended: sessionInfo.suspended || null,
+        savedAt: new Date().toISOString()
+    };
+    try {
+        fs.writeFileSync(path.join(sessionInfo.authPath, SESSION_META_FILE), JSON.stringify(meta, null, 2));
+    } catch (err) {
+        console.error(`⚠️ Could not save metadata for ${sessionId}:`, err.message);
+    }
+}
+
+function readSessionMeta(sessionId) {
+    const metaPath = path.join("temp", sessionId, SESSION_META_FILE);
+    if (fs.existsSync(metaPath)) {
+        return JSON.parse(fs.readFileSync(metaPath, "utf-8"));
+    }
+    // Directories paired before meta.json existed are named session_<number>_<ownerId>
+    const match = sessionId.match(/^session_(\d+)_(.+)$/);
+    return match ? { sessionId, number: match[1], ownerId: match[2] } : null;
+}
+
+// Whether temp/<sessionId> exists but is not `ownerId`'s: its metadata names
+// another owner, or none at all. Guards routes that create a session or
+// write its directory against taking over sessions that are not loaded.
+function sessionDirTaken(sessionId, ownerId) {
+    if (!fs.existsSync(path.join("temp", sessionId))) return false;
+    try {
+        return readSessionMeta(sessionId)?.ownerId !== ownerId;
+    } catch (err) {
+        return true;
+    }
+}
+
+// Registers every session found under temp/ with its owner. Runs before the
+// server listens, so no request can claim a session directory first.
+function loadSessionDirs() {
+    const dirs = fs.readdirSync("temp", { withFileTypes: true }).filter(entry => entry.isDirectory());
+
+    for (const { name: sessionId } of dirs) {
+        if (activeClients.has(sessionId)) continue;
+
+        let meta;
+        try {
+            meta = readSessionMeta(sessionId);
+        } catch (err) {
+            console.error(`⚠️ Unreadable metadata for ${sessionId}:`, err.message);
+            continue;
+        }
+        if (!meta?.ownerId) {
+            console.log(`⚠️ Skipping ${sessionId}: no owner metadata`);
+            continue;
+        }
+
+        const sessionInfo = {
+            client: null,
+            number: meta.number || null,
+            authPath: path.join("temp", sessionId),
+            registered: false,
+            pairingCode: null,
+            ownerId: meta.ownerId,
+            isConnecting: false,
+            deviceInfo: meta.deviceInfo || null,
+            pairedAt: meta.pairedAt ? new Date(meta.pairedAt) : null,
+            restored: true,
+            suspended: meta.suspended || null,
+            lastError: null
+        };
+        activeClients.set(sessionId, sessionInfo);
+    }
+}
+
+// Reconnects the paired sessions loadSessionDirs found. Sessions that cannot
+// be restored stay listed with a lastError.
+async function restoreSessions() {
+    const found = [...activeClients].filter(([, sessionInfo]) => sessionInfo.restored && !sessionInfo.client);
+    let restored = 0;
+
+    for (const [sessionId, sessionInfo] of found) {
+        // One-off migration of directories written before AUTH_STATE_KEY was
+        // set, and of files still under a key listed in AUTH_STATE_OLD_KEYS
+        if (authState.isEnabled()) {
+            try {
+                const rewritten = authState.reencryptDir(sessionInfo.authPath);
+                if (rewritten > 0) console.log(`🔐 Encrypted ${rewritten} auth file(s) of ${sessionId}`);
+            } catch (err) {
+                console.error(`❌ Could not encrypt auth state of ${sessionId}:`, err.message);
+                sessionInfo.lastError = `Restore failed: ${err.message}`;
+                continue;
+            }
+        }
+        if (sessionInfo.suspended) {
+            console.log(`⛔ Not reconnecting ${sessionId}: suspended by ${sessionInfo.suspended.by}`);
+            continue;
+        }
+
+        try {
+            if (!await connections.isRegistered(sessionInfo.authPath)) {
+                sessionInfo.lastError = "Pairing was never completed. Please pair again.";
+                continue;
+            }
+            await connections.connect(sessionId, sessionInfo);
+            restored++;
+        } catch (err) {
+            console.error(`❌ Could not restore ${sessionId}:`, err.message);
+            sessionInfo.lastError = `Restore failed: ${err.message}`;
+        }
+    }
+
+    console.log(`♻️ Restored ${restored}/${found.length} sessions from disk`);
+}
+
+// Feed server ack / delivery / read updates for task messages to the tracker
+function attachReceiptTracking(waClient) {
+    waClient.ev.on("messages.update", deliveryTracker.applyMessageUpdates);
+    waClient.ev.on("message-receipt.update", deliveryTracker.applyReceiptUpdates);
+}
+
+// Records STOP / START style replies from direct chats in the owner's opt-out
+// list. Group chatter is ignored; groups can be opted out through the API.
+function attachOptOutListener(waClient, sessionId, sessionInfo) {
+    waClient.ev.on("messages.upsert", ({ messages, type }) => {
+        if (type !== "notify") return;
+
+        for (const msg of messages || []) {
+            const jid = msg.key?.remoteJid;
+            if (msg.key?.fromMe || !jid || jid.endsWith("@g.us") || jid === "status@broadcast") continue;
+
+            const text = msg.message?.conversation || msg.message?.extendedTextMessage?.text;
+            const reply = consent.classifyReply(text);
+            const { ownerId } = sessionInfo;
+
+            if (reply === "opt_out" && !consent.isOptedOut(ownerId, jid)) {
+                consent.addOptOut(ownerId, jid, { source: "reply", sessionId, text });
+                liveEvents.publish(ownerId, "contact.opted_out", { sessionId, jid });
+                console.log(`🚫 ${jid} opted out (via ${sessionId})`);
+            } else if (reply === "opt_in" && consent.removeOptOut(ownerId, jid)) {
+                liveEvents.publish(ownerId, "contact.opted_in", { sessionId, jid });
+                console.log(`✅ ${jid} opted back in (via ${sessionId})`);
+            }
+        }
+    });
+}
+
+// Coarse status shown in the UI; /session-health has the full connection state
+function getSessionStatus(sessionInfo) {
+    const state = connections.stateOf(sessionInfo);
+    if (state === "open" && sessionInfo.client) return "connected";
+    if (!sessionInfo.registered && sessionInfo.qrCode) return "qr_received";
+    if (sessionInfo.isConnecting) return "connecting";
+    return "disconnected";
+}
+
+function sessionHealthPayload(sessionId, sessionInfo) {
+    return {
+        sessionId,
+        status: getSessionStatus(sessionInfo),
+        registered: sessionInfo.registered,
+        number: sessionInfo.number || null,
+        ...connections.health(sessionInfo),
+        suspended: sessionInfo.suspended || null,
+        lastError: sessionInfo.lastError || null
+    };
+}
+
+// Pushes the session's state to /events (and its log), once per change
+function publishSessionStatus(sessionId, sessionInfo) {
+    const status = getSessionStatus(sessionInfo);
+    const signature = `${status}|${sessionInfo.lastError || ""}`;
+    if (sessionInfo.publishedStatus === signature) return;
+    sessionInfo.publishedStatus = signature;
+
+    const log = logs.forSession(sessionId);
+    if (sessionInfo.lastError) log.error({ status }, sessionInfo.lastError);
+    else log.info({ status }, `Session ${status}`);
+
+    liveEvents.publish(sessionInfo.ownerId, "session.status", {
+        sessionId,
+        status,
+        number: sessionInfo.number || null,
+        lastError: sessionInfo.lastError || null
+    });
+}
+
+function destroySession(sessionId) {
+    const sessionInfo = activeClients.get(sessionId);
+    if (!sessionInfo) return false;
+
+    if (connections.disconnect(sessionId, sessionInfo)) {
+        console.log(`🔌 Disconnected client for session: ${sessionId}`);
+    }
+
+    // Delete session files
+    if (sessionInfo.authPath && fs.existsSync(sessionInfo.authPath)) {
+        fs.rmSync(sessionInfo.authPath, { recursive: true, force: true });
+        console.log(`🗑️ Deleted session files: ${sessionInfo.authPath}`);
+    }
+
+    activeClients.delete(sessionId);
+    logs.forget("session", sessionId);
+    liveEvents.publish(sessionInfo.ownerId, "session.deleted", { sessionId });
+    console.log(`✅ Session deleted: ${sessionId}`);
+    return true;
+}
+
 // --- GET USER SESSIONS ---
 app.get("/user-sessions", (req, res) => {
-    const ownerId = req.query.ownerId;
-    if (!ownerId) {
-        return res.status(400).json({ error: "Owner ID is required" });
-    }
+    const { ownerId } = req;
 
     const userSessions = [...activeClients.entries()]
         .filter(([_, info]) => info.ownerId === ownerId)
@@ -63,8 +444,10 @@ app.get("/user-sessions", (req, res) => {
             isConnecting: info.isConnecting || false,
             deviceInfo: info.deviceInfo || null,
             pairedAt: info.pairedAt || null,
-            groups: info.groups || [],
-            totalGroups: info.groups ? info.groups.length : 0
+            groups: groupCache.list(info),
+            totalGroups: groupCache.count(info),
+            restored: info.restored || false,
+            lastError: info.lastError || null
         }));
 
     res.json({
@@ -74,11 +457,14 @@ app.get("/user-sessions", (req, res) => {
 });
 
 // --- GET GROUPS FOR SESSION ---
+// Optional filters: search, namePattern, minParticipants, maxParticipants,
+// announcement, locked, admin, tag; sort (name|participants|creation), order
 app.get("/groups", async (req, res) => {
-    const { sessionId, ownerId } = req.query;
+    const { sessionId } = req.query;
+    const { ownerId } = req;
     
-    if (!sessionId || !ownerId) {
-        return res.status(400).json({ error: "Session ID and Owner ID are required" });
+    if (!sessionId) {
+        return res.status(400).json({ error: "Session ID is required" });
     }
 
     if (!activeClients.has(sessionId)) {
@@ -97,56 +483,29 @@ app.get("/groups", async (req, res) => {
     }
 
     try {
-        // If groups are already cached and less than 5 minutes old, return them
-        if (sessionInfo.groups && sessionInfo.groupsLastFetched) {
-            const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
-            if (sessionInfo.groupsLastFetched > fiveMinutesAgo) {
-                return res.json({
-                    success: true,
-                    groups: sessionInfo.groups,
-                    total: sessionInfo.groups.length,
-                    cached: true
-                });
+        // The cache follows group events, so once loaded it is current
+        const cached = groupCache.isLoaded(sessionInfo);
+        if (!cached) {
+            if (!sessionInfo.client) {
+                return res.status(400).json({ error: "Client not initialized" });
             }
+            console.log(`📋 Fetching groups for session: ${sessionId}`);
         }
 
-        const { client: waClient } = sessionInfo;
-        
-        if (!waClient) {
-            return res.status(400).json({ error: "Client not initialized" });
-        }
-
-        console.log(📋 Fetching groups for session: ${sessionId});
-        
-        // Fetch groups from WhatsApp
-        const groupData = await waClient.groupFetchAllParticipating();
-        
-        const groups = Object.values(groupData).map(group => ({
-            id: group.id,
-            name: group.subject || 'Unknown Group',
-            participants: group.participants ? group.participants.length : 0,
-            isAnnouncement: group.announcement || false,
-            isLocked: group.locked || false,
-            creation: group.creation ? new Date(group.creation * 1000).toISOString() : null,
-            subjectOwner: group.subjectOwner,
-            subjectTime: group.subjectTime ? new Date(group.subjectTime * 1000).toISOString() : null
-        })).sort((a, b) => a.name.localeCompare(b.name));
-
-        // Cache the groups
-        sessionInfo.groups = groups;
-        sessionInfo.groupsLastFetched = Date.now();
-
-        console.log(✅ Found ${groups.length} groups for ${sessionInfo.number});
+        const groups = await sessionGroups(sessionId, sessionInfo);
+        if (!cached) console.log(`✅ Found ${groups.length} groups for ${sessionInfo.number}`);
 
+        const matching = audiences.filterGroups(groups, audiences.parseFilters(req.query));
         res.json({
             success: true,
-            groups: groups,
-            total: groups.length,
-            cached: false
+            groups: matching,
+            total: matching.length,
+            totalGroups: groups.length,
+            cached: cached
         });
 
     } catch (error) {
-        console.error(❌ Error fetching groups for ${sessionId}:, error);
+        console.error(`❌ Error fetching groups for ${sessionId}:`, error);
         res.status(500).json({ 
             error: "Failed to fetch groups: " + (error.message || "Unknown error"),
             details: "Make sure the WhatsApp session is properly connected"
@@ -156,10 +515,11 @@ app.get("/groups", async (req, res) => {
 
 // --- REFRESH GROUPS ---
 app.post("/refresh-groups", upload.none(), async (req, res) => {
-    const { sessionId, ownerId } = req.body;
+    const { sessionId } = req.body;
+    const { ownerId } = req;
     
-    if (!sessionId || !ownerId) {
-        return res.status(400).json({ error: "Session ID and Owner ID are required" });
+    if (!sessionId) {
+        return res.status(400).json({ error: "Session ID is required" });
     }
 
     if (!activeClients.has(sessionId)) {
@@ -178,46 +538,26 @@ app.post("/refresh-groups", upload.none(), async (req, res) => {
     }
 
     try {
-        const { client: waClient } = sessionInfo;
-        
-        if (!waClient) {
+        if (!sessionInfo.client) {
             return res.status(400).json({ error: "Client not initialized" });
         }
 
-        console.log(🔄 Refreshing groups for session: ${sessionId});
-        
-        // Clear cache and fetch fresh groups
-        sessionInfo.groups = null;
-        sessionInfo.groupsLastFetched = null;
-        
-        const groupData = await waClient.groupFetchAllParticipating();
-        
-        const groups = Object.values(groupData).map(group => ({
-            id: group.id,
-            name: group.subject || 'Unknown Group',
-            participants: group.participants ? group.participants.length : 0,
-            isAnnouncement: group.announcement || false,
-            isLocked: group.locked || false,
-            creation: group.creation ? new Date(group.creation * 1000).toISOString() : null,
-            subjectOwner: group.subjectOwner,
-            subjectTime: group.subjectTime ? new Date(group.subjectTime * 1000).toISOString() : null
-        })).sort((a, b) => a.name.localeCompare(b.name));
-
-        // Cache the groups
-        sessionInfo.groups = groups;
-        sessionInfo.groupsLastFetched = Date.now();
-
-        console.log(✅ Refreshed ${groups.length} groups for ${sessionInfo.number});
+        console.log(`🔄 Refreshing groups for session: ${sessionId}`);
+
+        // Reload everything, in case an event was missed
+        const groups = audiences.withTags(ownerId, sessionId, await groupCache.load(sessionInfo));
+
+        console.log(`✅ Refreshed ${groups.length} groups for ${sessionInfo.number}`);
 
         res.json({
             success: true,
             groups: groups,
             total: groups.length,
-            message: Successfully refreshed ${groups.length} groups
+            message: `Successfully refreshed ${groups.length} groups`
         });
 
     } catch (error) {
-        console.error(❌ Error refreshing groups for ${sessionId}:, error);
+        console.error(`❌ Error refreshing groups for ${sessionId}:`, error);
         res.status(500).json({ 
             error: "Failed to refresh groups: " + (error.message || "Unknown error")
         });
@@ -225,18 +565,26 @@ app.post("/refresh-groups", upload.none(), async (req, res) => {
 });
 
 // --- PAIR NEW NUMBER ---
+// How long /code waits for a QR code before giving up
+const PAIRING_TIMEOUT_MS = 120000;
+
 app.get("/code", async (req, res) => {
     const num = req.query.number?.replace(/[^0-9]/g, "");
-    const ownerId = req.query.ownerId;
+    const { ownerId } = req;
     
     if (!num) return res.status(400).json({ error: "Invalid number" });
-    if (!ownerId) return res.status(400).json({ error: "Owner ID is required" });
 
-    const sessionId = session_${num}_${ownerId};
+    const sessionId = `session_${num}_${ownerId}`;
     const sessionPath = path.join("temp", sessionId);
     
     const existingSession = activeClients.get(sessionId);
+    if ((existingSession && existingSession.ownerId !== ownerId) || (!existingSession && sessionDirTaken(sessionId, ownerId))) {
+        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
+    }
     if (existingSession) {
+        if (existingSession.suspended) {
+            return res.status(423).json({ error: "This session is suspended by an administrator." });
+        }
         if (existingSession.isConnecting) {
             return res.status(400).json({ error: "Session is already being set up. Please wait." });
         }
@@ -248,50 +596,20 @@ app.get("/code", async (req, res) => {
                 status: "already-registered",
                 message: "Session already registered and ready to use",
                 deviceInfo: existingSession.deviceInfo,
-                groups: existingSession.groups || [],
-                totalGroups: existingSession.groups ? existingSession.groups.length : 0
+                groups: groupCache.list(existingSession),
+                totalGroups: groupCache.count(existingSession)
             });
         }
     }
 
     if (!fs.existsSync(sessionPath)) fs.mkdirSync(sessionPath, { recursive: true });
+    auditRequest(req, "session.pairing_requested", { sessionId, target: num });
 
     try {
-        const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
-        const { version } = await fetchLatestBaileysVersion();
-
-        if (state.creds?.registered) {
-            const displayCode = generateDisplayCode();
-            
-            // Fetch groups for already registered session
-            let groups = [];
-            try {
-                const waClient = makeWASocket({
-                    version,
-                    auth: {
-                        creds: state.creds,
-                        keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "fatal" }))
-                    },
-                    printQRInTerminal: false,
-                    logger: pino({ level: "silent" }),
-                    browser: Browsers.ubuntu('Chrome'),
-                    syncFullHistory: false,
-                });
-
-                const groupData = await waClient.groupFetchAllParticipating();
-                groups = Object.values(groupData).map(group => ({
-                    id: group.id,
-                    name: group.subject || 'Unknown Group',
-                    participants: group.participants ? group.participants.length : 0,
-                    isAnnouncement: group.announcement || false,
-                    isLocked: group.locked || false
-                })).sort((a, b) => a.name.localeCompare(b.name));
-
-                waClient.end();
-            } catch (groupError) {
-                console.log("⚠️ Could not fetch groups for existing session:", groupError.message);
-            }
+        if (existingSession) connections.disconnect(sessionId, existingSession);
+        const displayCode = generateDisplayCode();
 
+        if (await connections.isRegistered(sessionPath)) {
             const sessionInfo = {
                 client: null,
                 number: num,
@@ -305,758 +623,3321 @@ app.get("/code", async (req, res) => {
                     pairedAt: new Date().toISOString(),
                     browser: "Chrome"
                 },
-                pairedAt: new Date(),
-                groups: groups,
-                groupsLastFetched: Date.now()
+                pairedAt: new Date()
             };
-            
+
             activeClients.set(sessionId, sessionInfo);
-            
-            return res.json({ 
+            saveSessionMeta(sessionId, sessionInfo);
+
+            // Groups are fetched as soon as the connection opens
+            try {
+                await connections.ensureOpen(sessionId, sessionInfo);
+            } catch (connectError) {
+                console.log("⚠️ Could not connect existing session:", connectError.message);
+            }
+
+            return res.json({
                 pairingCode: displayCode,
-                waCode: "ALREADY_REGISTERED", 
+                waCode: "ALREADY_REGISTERED",
                 sessionId: sessionId,
                 status: "already-registered",
                 message: "Session already registered and ready to use",
                 deviceInfo: sessionInfo.deviceInfo,
-                groups: groups,
-                totalGroups: groups.length
+                groups: groupCache.list(sessionInfo),
+                totalGroups: groupCache.count(sessionInfo)
             });
         }
 
-        const waClient = makeWASocket({
-            version,
-            auth: {
-                creds: state.creds,
-                keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "fatal" }))
-            },
-            printQRInTerminal: true,
-            logger: pino({ level: "silent" }),
-            browser: Browsers.ubuntu('Chrome'),
-            syncFullHistory: false,
-            shouldIgnoreJid: jid => isJidBroadcast(jid),
-            markOnlineOnConnect: true,
-            connectTimeoutMs: 60000,
-            defaultQueryTimeoutMs: 60000,
-        });
-
-        const displayCode = generateDisplayCode();
         const sessionInfo = {
-            client: waClient,
+            client: null,
             number: num,
             authPath: sessionPath,
             registered: false,
             pairingCode: displayCode,
             ownerId,
             isConnecting: true,
-            reconnectAttempts: 0,
-            maxReconnectAttempts: 3,
             deviceInfo: null,
-            pairedAt: null,
-            groups: [],
-            groupsLastFetched: null
+            pairedAt: null
         };
 
         activeClients.set(sessionId, sessionInfo);
+        await connections.connect(sessionId, sessionInfo);
 
-        let connectionTimeout;
-        let isResolved = false;
-
-        const resolveRequest = (data) => {
-            if (isResolved) return;
-            isResolved = true;
-            clearTimeout(connectionTimeout);
-            sessionInfo.isConnecting = false;
-            res.json(data);
-        };
+        // Wait for a QR code (then ask for a pairing code) or for the
+        // connection to settle one way or the other
+        let state;
+        try {
+            state = await connections.waitFor(
+                sessionId,
+                sessionInfo,
+                info => Boolean(info.qrCode) || ["open", "logged_out", "failed"].includes(connections.stateOf(info)),
+                PAIRING_TIMEOUT_MS
+            );
+        } catch (timeoutError) {
+            console.log(`⏰ Connection timeout for ${sessionId}`);
+            webhooks.emit(ownerId, "pairing.timeout", sessionHealthPayload(sessionId, sessionInfo));
+            return res.status(500).json({ error: "Connection timeout. Please try again." });
+        }
 
-        const rejectRequest = (error) => {
-            if (isResolved) return;
-            isResolved = true;
-            clearTimeout(connectionTimeout);
-            sessionInfo.isConnecting = false;
-            res.status(500).json({ error });
-        };
+        if (state === "open") {
+            return res.json({
+                pairingCode: "CONNECTED",
+                waCode: "CONNECTED",
+                sessionId: sessionId,
+                status: "connected",
+                message: "WhatsApp connected successfully!",
+                deviceInfo: sessionInfo.deviceInfo,
+                groups: groupCache.list(sessionInfo),
+                totalGroups: groupCache.count(sessionInfo)
+            });
+        }
+        if (state === "logged_out") {
+            return res.status(500).json({ error: "Authentication failed. Please pair again." });
+        }
+        if (state === "failed") {
+            return res.status(500).json({ error: "Max reconnection attempts reached. Please try again." });
+        }
 
-        connectionTimeout = setTimeout(() => {
-            if (!isResolved) {
-                console.log(⏰ Connection timeout for ${sessionId});
-                rejectRequest("Connection timeout. Please try again.");
-            }
-        }, 120000);
+        const qr = sessionInfo.qrCode;
+        console.log(`📱 QR code received for ${sessionId}`);
+        const actualPairingCode = await requestPairingCode(sessionInfo.client, num, qr);
 
-        waClient.ev.on("creds.update", saveCreds);
-        
-        waClient.ev.on("connection.update", async (update) => {
-            const { connection, lastDisconnect, qr } = update;
-            
-            console.log(🔗 Connection update for ${sessionId}: ${connection});
-            
-            if (connection === "open") {
-                console.log(✅ WhatsApp Connected for ${num}! (Session: ${sessionId}));
-                
-                // CAPTURE DEVICE INFO IMMEDIATELY AFTER PAIRING
-                try {
-                    const user = waClient.user;
-                    const deviceInfo = {
-                        platform: user?.platform || "WhatsApp Web",
-                        pairedAt: new Date().toISOString(),
-                        browser: "Chrome",
-                        phoneNumber: user?.id?.split(':')[0] || num,
-                        deviceType: "Browser",
-                        connection: "Active"
-                    };
-                    
-                    sessionInfo.deviceInfo = deviceInfo;
-                    sessionInfo.pairedAt = new Date();
-                } catch (deviceErr) {
-                    console.log("⚠️ Could not capture device info:", deviceErr);
-                    sessionInfo.deviceInfo = {
-                        platform: "WhatsApp Web",
-                        pairedAt: new Date().toISOString(),
-                        browser: "Chrome",
-                        phoneNumber: num,
-                        deviceType: "Unknown"
-                    };
-                }
-                
-                // FETCH GROUPS IMMEDIATELY AFTER CONNECTION
-                try {
-                    console.log(📋 Fetching groups for newly connected session: ${sessionId});
-                    const groupData = await waClient.groupFetchAllParticipating();
-                    
-                    const groups = Object.values(groupData).map(group => ({
-                        id: group.id,
-                        name: group.subject || 'Unknown Group',
-                        participants: group.participants ? group.participants.length : 0,
-                        isAnnouncement: group.announcement || false,
-                        isLocked: group.locked || false,
-                        creation: group.creation ? new Date(group.creation * 1000).toISOString() : null
-                    })).sort((a, b) => a.name.localeCompare(b.name));
-                    
-                    sessionInfo.groups = groups;
-                    sessionInfo.groupsLastFetched = Date.now();
-                    
-                    console.log(✅ Found ${groups.length} groups for ${num});
-                } catch (groupError) {
-                    console.log("⚠️ Could not fetch groups after connection:", groupError.message);
-                    sessionInfo.groups = [];
-                }
-                
-                sessionInfo.registered = true;
-                sessionInfo.isConnecting = false;
-                sessionInfo.reconnectAttempts = 0;
-                
-                if (!isResolved) {
-                    resolveRequest({ 
-                        pairingCode: "CONNECTED",
-                        waCode: "CONNECTED",
-                        sessionId: sessionId,
-                        status: "connected",
-                        message: "WhatsApp connected successfully!",
-                        deviceInfo: sessionInfo.deviceInfo,
-                        groups: sessionInfo.groups || [],
-                        totalGroups: sessionInfo.groups ? sessionInfo.groups.length : 0
-                    });
-                }
-            } 
-            else if (connection === "close") {
-                const statusCode = lastDisconnect?.error?.output?.statusCode;
-                console.log(❌ Connection closed for ${sessionId}, status: ${statusCode});
-                
-                if (statusCode === 401) {
-                    console.log(🚫 Auth error for ${sessionId});
-                    sessionInfo.registered = false;
-                    sessionInfo.isConnecting = false;
-                    sessionInfo.deviceInfo = null;
-                    sessionInfo.pairedAt = null;
-                    sessionInfo.groups = [];
-                    if (!isResolved) {
-                        rejectRequest("Authentication failed. Please pair again.");
-                    }
-                } else {
-                    sessionInfo.reconnectAttempts++;
-                    if (sessionInfo.reconnectAttempts <= sessionInfo.maxReconnectAttempts) {
-                        console.log(🔄 Reconnection attempt ${sessionInfo.reconnectAttempts} for ${sessionId} in 5s...);
-                        setTimeout(() => {
-                            if (activeClients.has(sessionId)) {
-                                initializeClient(sessionId, sessionInfo);
-                            }
-                        }, 5000);
-                    } else {
-                        console.log(🚫 Max reconnection attempts reached for ${sessionId});
-                        sessionInfo.isConnecting = false;
-                        if (!isResolved) {
-                            rejectRequest("Max reconnection attempts reached. Please try again.");
-                        }
-                    }
-                }
-            }
-            
-            if (qr && !isResolved) {
-                console.log(📱 QR code received for ${sessionId});
-                
-                let actualPairingCode = null;
-                
-                try {
-                    console.log(🔄 Attempting to get pairing code via API...);
-                    actualPairingCode = await waClient.requestPairingCode(num);
-                    if (actualPairingCode) {
-                        console.log(✅ Got pairing code via API: ${actualPairingCode});
-                    }
-                } catch (apiError) {
-                    console.log(❌ API method failed:, apiError.message);
-                }
-                
-                if (!actualPairingCode && qr) {
-                    try {
-                        const qrMatch = qr.match(/[A-Z0-9]{6,8}/);
-                        if (qrMatch) {
-                            actualPairingCode = qrMatch[0];
-                            console.log(✅ Extracted pairing code from QR: ${actualPairingCode});
-                        }
-                    } catch (qrError) {
-                        console.log(❌ QR extraction failed:, qrError.message);
-                    }
-                }
-                
-                if (!actualPairingCode && qr && qr.length >= 6 && qr.length <= 8) {
-                    actualPairingCode = qr;
-                    console.log(✅ Using QR as pairing code: ${actualPairingCode});
-                }
-                
-                if (actualPairingCode) {
-                    sessionInfo.pairingCode = actualPairingCode;
-                    
-                    resolveRequest({ 
-                        pairingCode: actualPairingCode,
-                        waCode: actualPairingCode,
-                        sessionId: sessionId,
-                        status: "code_received", 
-                        message: Use this code in WhatsApp Linked Devices: ${actualPairingCode}
-                    });
-                } else {
-                    resolveRequest({ 
-                        pairingCode: sessionInfo.pairingCode,
-                        waCode: qr,
-                        sessionId: sessionId,
-                        status: "qr_received", 
-                        message: "Scan the QR code with WhatsApp"
-                    });
-                }
-            }
-        });
+        if (actualPairingCode) {
+            sessionInfo.pairingCode = actualPairingCode;
 
-        setTimeout(async () => {
-            if (!isResolved) {
-                try {
-                    console.log(🔄 Trying to get pairing code directly...);
-                    const pairingCode = await waClient.requestPairingCode(num);
-                    if (pairingCode) {
-                        console.log(✅ Got pairing code directly: ${pairingCode});
-                        sessionInfo.pairingCode = pairingCode;
-                        
-                        resolveRequest({ 
-                            pairingCode: pairingCode,
-                            waCode: pairingCode,
-                            sessionId: sessionId,
-                            status: "code_received", 
-                            message: Use code in WhatsApp: ${pairingCode}
-                        });
-                    }
-                } catch (error) {
-                    console.log(ℹ️ Direct pairing code not available yet:, error.message);
-                }
-            }
-        }, 3000);
+            res.json({
+                pairingCode: actualPairingCode,
+                waCode: actualPairingCode,
+                sessionId: sessionId,
+                status: "code_received",
+                message: `Use this code in WhatsApp Linked Devices: ${actualPairingCode}`
+            });
+        } else {
+            res.json({
+                pairingCode: sessionInfo.pairingCode,
+                waCode: qr,
+                sessionId: sessionId,
+                status: "qr_received",
+                message: "Scan the QR code with WhatsApp"
+            });
+        }
 
     } catch (err) {
         console.error("❌ Session creation error:", err);
+        const sessionInfo = activeClients.get(sessionId);
+        if (sessionInfo) connections.disconnect(sessionId, sessionInfo);
         activeClients.delete(sessionId);
         return res.status(500).json({ error: err.message || "Server error" });
     }
 });
 
-async function initializeClient(sessionId, sessionInfo) {
-    try {
-        const { state, saveCreds } = await useMultiFileAuthState(sessionInfo.authPath);
-        const { version } = await fetchLatestBaileysVersion();
-
-        const waClient = makeWASocket({
-            version,
-            auth: {
-                creds: state.creds,
-                keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "fatal" }))
-            },
-            printQRInTerminal: false,
-            logger: pino({ level: "silent" }),
-            browser: Browsers.ubuntu('Chrome'),
-            syncFullHistory: false,
-            markOnlineOnConnect: false,
-        });
-
-        sessionInfo.client = waClient;
-        sessionInfo.isConnecting = true;
-
-        waClient.ev.on("creds.update", saveCreds);
-        
-        waClient.ev.on("connection.update", async (update) => {
-            const { connection, lastDisconnect } = update;
-            
-            if (connection === "open") {
-                console.log(🔄 Reconnected for ${sessionId});
-                
-                // UPDATE DEVICE INFO ON RECONNECTION
-                try {
-                    const user = waClient.user;
-                    sessionInfo.deviceInfo = {
-                        platform: user?.platform || "WhatsApp Web",
-                        pairedAt: sessionInfo.pairedAt || new Date().toISOString(),
-                        browser: "Chrome",
-                        phoneNumber: user?.id?.split(':')[0] || sessionInfo.number,
-                        deviceType: "Browser",
-                        connection: "Reconnected",
-                        lastSeen: new Date().toISOString()
-                    };
-                    
-                    // REFRESH GROUPS ON RECONNECTION
-                    try {
-                        console.log(🔄 Refreshing groups on reconnection for: ${sessionId});
-                        const groupData = await waClient.groupFetchAllParticipating();
-                        const groups = Object.values(groupData).map(group => ({
-                            id: group.id,
-                            name: group.subject || 'Unknown Group',
-                            participants: group.participants ? group.participants.length : 0,
-                            isAnnouncement: group.announcement || false,
-                            isLocked: group.locked || false
-                        })).sort((a, b) => a.name.localeCompare(b.name));
-                        
-                        sessionInfo.groups = groups;
-                        sessionInfo.groupsLastFetched = Date.now();
-                        console.log(✅ Refreshed ${groups.length} groups on reconnection);
-                    } catch (groupError) {
-                        console.log("⚠️ Could not refresh groups on reconnection:", groupError.message);
-                    }
-                    
-                } catch (e) {
-                    console.log("⚠️ Could not update device info on reconnect");
-                }
-                
-                sessionInfo.registered = true;
-                sessionInfo.isConnecting = false;
-                sessionInfo.reconnectAttempts = 0;
-            } 
-            else if (connection === "close") {
-                const statusCode = lastDisconnect?.error?.output?.statusCode;
-                console.log(Reconnection closed for ${sessionId}, status: ${statusCode});
-                
-                if (statusCode === 401) {
-                    console.log(Auth failed for ${sessionId});
-                    sessionInfo.registered = false;
-                    sessionInfo.isConnecting = false;
-                    sessionInfo.deviceInfo = null;
-                } else {
-                    sessionInfo.reconnectAttempts++;
-                    if (sessionInfo.reconnectAttempts <= sessionInfo.maxReconnectAttempts) {
-                        setTimeout(() => {
-                            if (activeClients.has(sessionId)) {
-                                initializeClient(sessionId, sessionInfo);
-                            }
-                        }, 5000);
-                    } else {
-                        console.log(Max reconnection attempts reached for ${sessionId});
-                        sessionInfo.isConnecting = false;
-                    }
-                }
+// Pairing code for `num`, falling back to one embedded in the QR payload
+async function requestPairingCode(waClient, num, qr) {
+    if (waClient) {
+        try {
+            console.log(`🔄 Attempting to get pairing code via API...`);
+            const pairingCode = await waClient.requestPairingCode(num);
+            if (pairingCode) {
+                console.log(`✅ Got pairing code via API: ${pairingCode}`);
+                return pairingCode;
             }
-        });
+        } catch (apiError) {
+            console.log(`❌ API method failed:`, apiError.message);
+        }
+    }
 
-    } catch (err) {
-        console.error(Reconnection failed for ${sessionId}, err);
-        sessionInfo.isConnecting = false;
+    const qrMatch = qr?.match(/[A-Z0-9]{6,8}/);
+    if (qrMatch) {
+        console.log(`✅ Extracted pairing code from QR: ${qrMatch[0]}`);
+        return qrMatch[0];
     }
+    return null;
 }
 
-// --- SEND MESSAGE ---
-app.post("/send-message", upload.single("messageFile"), async (req, res) => {
-    const { sessionId, target, targetType, delaySec, prefix, ownerId, groupId } = req.body;
-    const filePath = req.file?.path;
-
-    if (!sessionId || !activeClients.has(sessionId)) {
-        safeDeleteFile(filePath);
-        return res.status(400).json({ error: "Invalid or inactive sessionId" });
-    }
-    
-    const sessionInfo = activeClients.get(sessionId);
-    
-    // CHECK IF SESSION BELONGS TO THE USER
-    if (ownerId && sessionInfo.ownerId !== ownerId) {
-        safeDeleteFile(filePath);
-        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
-    }
-    
-    if (!sessionInfo.registered || sessionInfo.isConnecting) {
-        safeDeleteFile(filePath);
-        return res.status(400).json({ error: "Session not ready. Please wait for connection." });
-    }
+// --- CONNECTION HOOKS ---
+// lib/connections.js creates and reconnects every socket; these hooks keep
+// the session's device info, groups and listeners in step with it.
+connections.configure({
+    onSocket(sessionId, sessionInfo, waClient) {
+        groupCache.attach(sessionId, sessionInfo, waClient);
+        attachReceiptTracking(waClient);
+        attachOptOutListener(waClient, sessionId, sessionInfo);
+    },
+
+    async onOpen(sessionId, sessionInfo, waClient) {
+        const user = waClient.user;
+        const phoneNumber = user?.id?.split(':')[0] || sessionInfo.number;
+        if (!sessionInfo.number) sessionInfo.number = phoneNumber || null;
+
+        if (!sessionInfo.pairedAt) {
+            sessionInfo.pairedAt = new Date();
+            audit.record({ ownerId: sessionInfo.ownerId, action: "session.paired", sessionId, details: { number: sessionInfo.number } });
+        }
+        sessionInfo.deviceInfo = {
+            platform: user?.platform || "WhatsApp Web",
+            pairedAt: sessionInfo.pairedAt,
+            browser: "Chrome",
+            phoneNumber,
+            deviceType: "Browser",
+            connection: "Active",
+            lastSeen: new Date().toISOString()
+        };
+        sessionInfo.registered = true;
+        sessionInfo.lastError = null;
 
-    if (!sessionInfo.client && sessionInfo.registered) {
         try {
-            const { state, saveCreds } = await useMultiFileAuthState(sessionInfo.authPath);
-            const { version } = await fetchLatestBaileysVersion();
-
-            const waClient = makeWASocket({
-                version,
-                auth: {
-                    creds: state.creds,
-                    keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "fatal" }))
-                },
-                printQRInTerminal: false,
-                logger: pino({ level: "silent" }),
-                browser: Browsers.ubuntu('Chrome'),
-                syncFullHistory: false,
-            });
-
-            sessionInfo.client = waClient;
-            waClient.ev.on("creds.update", saveCreds);
-            
-            await new Promise((resolve) => {
-                waClient.ev.on("connection.update", (update) => {
-                    if (update.connection === "open") {
-                        resolve();
-                    }
-                });
-            });
-            
-        } catch (err) {
-            safeDeleteFile(filePath);
-            return res.status(400).json({ error: "Failed to initialize session: " + err.message });
+            console.log(`📋 Fetching groups for connected session: ${sessionId}`);
+            const groups = await groupCache.load(sessionInfo, waClient);
+            console.log(`✅ Found ${groups.length} groups for ${sessionInfo.number}`);
+        } catch (groupError) {
+            console.log("⚠️ Could not fetch groups after connection:", groupError.message);
+        }
+        saveSessionMeta(sessionId, sessionInfo);
+    },
+
+    onStateChange(sessionId, sessionInfo) {
+        if (connections.stateOf(sessionInfo) === "logged_out") {
+            sessionInfo.deviceInfo = null;
+            sessionInfo.pairedAt = null;
+            groupCache.clear(sessionInfo);
         }
+        publishSessionStatus(sessionId, sessionInfo);
+        announceSessionState(sessionId, sessionInfo);
+    },
+
+    onPairingTimeout(sessionId, sessionInfo) {
+        console.log(`⏰ Pairing timed out for ${sessionId}`);
+        webhooks.emit(sessionInfo.ownerId, "pairing.timeout", sessionHealthPayload(sessionId, sessionInfo));
     }
+});
 
-    if ((!target && !groupId) || !filePath || !targetType || !delaySec) {
-        safeDeleteFile(filePath);
-        return res.status(400).json({ error: "Missing required fields" });
+// Sends session.connected / session.disconnected / session.logged_out
+// webhooks. Reconnect attempts don't count as separate events: a session is
+// "disconnected" from its first drop until it is open again.
+function announceSessionState(sessionId, sessionInfo) {
+    const state = connections.stateOf(sessionInfo);
+    let event = null;
+    if (state === "open") event = "session.connected";
+    else if (state === "logged_out") event = "session.logged_out";
+    else if (["backing_off", "failed", "idle"].includes(state) && sessionInfo.announcedState === "session.connected") {
+        event = "session.disconnected";
     }
+    if (!event || sessionInfo.announcedState === event) return;
 
-    const { client: waClient } = sessionInfo;
-    
-    // Use groupId if provided, otherwise use target
-    let finalTarget = target;
-    if (groupId && targetType === "group") {
-        finalTarget = groupId;
+    sessionInfo.announcedState = event;
+    webhooks.emit(sessionInfo.ownerId, event, sessionHealthPayload(sessionId, sessionInfo));
+}
+
+// Tells the UI to redraw a session's group list
+groupCache.configure({
+    onChange(sessionId, sessionInfo, groupIds) {
+        liveEvents.publish(sessionInfo.ownerId, "groups.updated", {
+            sessionId,
+            groupIds,
+            total: groupCache.count(sessionInfo)
+        });
     }
-    
-    if (!finalTarget) {
-        safeDeleteFile(filePath);
-        return res.status(400).json({ error: "No target specified" });
+});
+
+// --- SESSION HEALTH ---
+// Connection state, reconnect attempts and last disconnect for one session
+// (?sessionId=) or all of the caller's sessions
+app.get("/session-health", (req, res) => {
+    const { sessionId } = req.query;
+    const { ownerId } = req;
+
+    if (!sessionId) {
+        const sessions = [...activeClients.entries()]
+            .filter(([_, info]) => info.ownerId === ownerId)
+            .map(([id, info]) => sessionHealthPayload(id, info));
+        return res.json({ sessions, total: sessions.length });
+    }
+
+    if (!activeClients.has(sessionId)) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+
+    // CHECK OWNERSHIP
+    if (activeClients.get(sessionId).ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
+    }
+
+    res.json(sessionHealthPayload(sessionId, activeClients.get(sessionId)));
+});
+
+// --- TASK RUNNER ---
+// Accepts an array, a JSON array string or a comma-separated string
+// (repeated multipart fields arrive as an array)
+function parseIdList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String).map(v => v.trim()).filter(Boolean);
+
+    const text = String(value).trim();
+    if (text.startsWith("[")) {
+        try { return parseIdList(JSON.parse(text)); } catch (e) { return []; }
+    }
+    return text.split(",").map(v => v.trim()).filter(Boolean);
+}
+
+// Match requested group IDs against the session's /groups listing, keeping
+// the caller's order (which is the order each message is sent in). A dry run
+// on a session whose groups are not loaded (offline, or not reconnected since
+// a restart) takes the IDs as given: its simulated socket accepts any group.
+async function resolveGroupTargets(sessionInfo, groupIds, { dryRun = false } = {}) {
+    if (!groupCache.isLoaded(sessionInfo) && sessionInfo.client) {
+        try {
+            await groupCache.load(sessionInfo);
+        } catch (err) {
+            if (!dryRun) throw err;
+        }
+    }
+    if (dryRun && !groupCache.isLoaded(sessionInfo)) {
+        const ids = [...new Set(groupIds.map(id => toRecipientJid(id, "group")))];
+        return { groups: ids.map(id => ({ id, name: "Unknown Group" })), unknown: [] };
+    }
+
+    const groups = [];
+    const unknown = [];
+    for (const id of [...new Set(groupIds)]) {
+        const group = groupCache.get(sessionInfo, toRecipientJid(id, "group"));
+        if (group) groups.push(group); else unknown.push(id);
+    }
+    return { groups, unknown };
+}
+
+// The session's groups with the owner's tags, loading them on first use
+async function sessionGroups(sessionId, sessionInfo) {
+    if (!groupCache.isLoaded(sessionInfo) && sessionInfo.client) {
+        await groupCache.load(sessionInfo);
+    }
+    return audiences.withTags(sessionInfo.ownerId, sessionId, groupCache.list(sessionInfo));
+}
+
+// Works out who a task sends to: a saved audience (by name), groups from
+// the /groups listing, a single groupId, or a raw target. Returns
+// { status, error } when that fails.
+async function resolveTaskRecipients(sessionInfo, { sessionId, audience, target, targetType, groupId, groupIds = [], dryRun = false }) {
+    let audienceName = null;
+    if (hasValue(audience)) {
+        const saved = audiences.findByName(sessionInfo.ownerId, sessionId, audience);
+        if (!saved) {
+            return { status: 400, error: `No audience named "${audience}" for this session` };
+        }
+        let members;
+        try {
+            members = audiences.resolve(saved, await sessionGroups(sessionId, sessionInfo)).groups;
+        } catch (err) {
+            if (!dryRun) return { status: 500, error: "Failed to fetch groups: " + err.message };
+            members = [];
+        }
+        // Without a group listing, a dry run can only match the audience's
+        // explicit group IDs, not its tags or name pattern
+        if (dryRun && !groupCache.isLoaded(sessionInfo)) {
+            members = saved.groupIds.map(id => ({ id }));
+        }
+        if (members.length === 0) {
+            return { status: 400, error: `Audience "${saved.name}" matches none of this session's groups` };
+        }
+        audienceName = saved.name;
+        groupIds = members.map(group => group.id);
+        targetType = "group";
+    }
+
+    if (groupIds.length > 0 && targetType === "group") {
+        let resolved;
+        try {
+            resolved = await resolveGroupTargets(sessionInfo, groupIds, { dryRun });
+        } catch (err) {
+            return { status: 500, error: "Failed to fetch groups: " + err.message };
+        }
+        if (resolved.unknown.length > 0) {
+            return { status: 400, error: `Unknown group IDs for this session: ${resolved.unknown.join(", ")}` };
+        }
+
+        const recipientNames = {};
+        resolved.groups.forEach(group => { recipientNames[group.id] = group.name; });
+        const recipients = resolved.groups.map(group => group.id);
+        return { recipients, recipientNames, finalTarget: recipients.join(","), audience: audienceName };
+    }
+
+    // Use groupId if provided, otherwise use target
+    const finalTarget = groupId && targetType === "group" ? groupId : target;
+    if (!finalTarget) {
+        return { status: 400, error: "No target specified" };
+    }
+
+    const recipient = toRecipientJid(finalTarget, targetType);
+    const blocked = recipientBlockReason(sessionInfo.ownerId, recipient);
+    if (blocked) {
+        return { status: 403, error: `${finalTarget}: ${blocked}` };
+    }
+    return { recipients: [recipient], recipientNames: {}, finalTarget };
+}
+
+// Why a recipient may not be messaged, or null. Individual contacts must be
+// on the owner's allowlist; anyone on the opt-out list is never messaged.
+function recipientBlockReason(ownerId, recipient) {
+    if (consent.isOptedOut(ownerId, recipient)) return "Recipient opted out";
+    if (!recipient.endsWith("@g.us") && !consent.isAllowed(ownerId, recipient)) {
+        return "Recipient is not on your contact allowlist";
+    }
+    return null;
+}
+
+// Fill in {{placeholders}} for one recipient using the session's cached group metadata
+function templateContext(taskInfo, recipient) {
+    const sessionInfo = activeClients.get(taskInfo.sessionId);
+    return templates.buildContext({
+        sessionId: taskInfo.sessionId,
+        sessionInfo,
+        recipient,
+        group: groupCache.get(sessionInfo, recipient),
+        variables: taskInfo.variables || {}
+    });
+}
+
+// Rendered output of each message line for each recipient, without sending
+function buildPreview(sessionId, lines, { recipients, recipientNames }, { variables, prefix, limit }) {
+    const previewTask = { sessionId, variables, prefix: prefix || "" };
+
+    return recipients.map(recipient => {
+        const context = templateContext(previewTask, recipient);
+        const renderedPrefix = templates.renderTemplate(previewTask.prefix, context);
+
+        return {
+            recipient,
+            name: recipientNames[recipient] || null,
+            messages: lines.slice(0, limit).map((line, index) => {
+                const ref = media.splitAttachmentRef(line);
+                const rendered = templates.renderTemplate(ref ? ref.text : line, context);
+                return {
+                    index,
+                    text: media.withPrefix(rendered.text, renderedPrefix.text),
+                    attachment: ref ? ref.fileName : null,
+                    missing: [...new Set([...renderedPrefix.missing, ...rendered.missing])]
+                };
+            })
+        };
+    });
+}
+
+function groupProgress(taskInfo) {
+    const receipts = deliveryTracker.summarizeByRecipient(taskInfo.taskId);
+    return taskInfo.results.map(result => ({
+        groupId: result.recipient,
+        name: result.name,
+        sent: result.sent,
+        failed: result.failed,
+        skipped: result.skipped || 0,
+        delivered: receipts[result.recipient]?.delivered || 0,
+        read: receipts[result.recipient]?.read || 0,
+        total: taskInfo.messagesPerTarget,
+        progress: Math.round(((result.sent + result.failed + (result.skipped || 0)) / taskInfo.messagesPerTarget) * 100),
+        removed: result.removed || false,
+        lastError: result.error,
+        lastErrorAt: result.lastErrorAt
+    }));
+}
+
+function toRecipientJid(target, targetType) {
+    return targetType === "group"
+        ? (target.includes('@g.us') ? target : target + '@g.us')
+        : (target.includes('@s.whatsapp.net') ? target : target + '@s.whatsapp.net');
+}
+
+function createTask({ taskId, sessionId, ownerId, messages, recipients, recipientNames = {}, target, targetType, prefix, variables = {}, delayMs, groupId, audience, scheduleId, dryRun = false }) {
+    const taskInfo = {
+        taskId: taskId || `TASK_${Date.now()}`,
+        sessionId,
+        ownerId,
+        isSending: true,
+        stopRequested: false,
+        interrupted: false,
+        totalMessages: messages.length * recipients.length,
+        sentMessages: 0,
+        failedMessages: 0,
+        skippedMessages: 0,
+        // Index of the next delivery (message-major, recipient-minor)
+        cursor: 0,
+        target,
+        targetType,
+        recipients,
+        messagesPerTarget: messages.length,
+        results: recipients.map(recipient => ({
+            recipient,
+            name: recipientNames[recipient] || null,
+            sent: 0,
+            failed: 0,
+            skipped: 0,
+            error: null,
+            lastErrorAt: null
+        })),
+        prefix: prefix || "",
+        variables,
+        delayMs,
+        startTime: new Date(),
+        lastUpdate: new Date(),
+        groupId: groupId || null,
+        // Name of the saved audience the recipients came from
+        audience: audience || null,
+        scheduleId: scheduleId || null,
+        // Sent through a simulated socket; nothing reaches WhatsApp
+        dryRun: Boolean(dryRun),
+        // { reason, resumeAt, since } while waiting for send quota
+        pause: null,
+        // Set by /pause-task; the loop holds at the next message boundary
+        pausedAt: null,
+        // Cursor position of the message being sent right now, if any
+        sendingSlot: null
+    };
+
+    activeTasks.set(taskInfo.taskId, taskInfo);
+    taskStore.saveTask(taskInfo, messages);
+    return taskInfo;
+}
+
+// How long a finished dry run keeps its simulated socket open for receipts
+const DRY_RUN_SOCKET_LINGER_MS = 10000;
+
+// Dry-run tasks get a simulated socket of their own that mirrors the
+// session's groups, so they produce receipts and reports like a real send
+function clientForTask(taskInfo, sessionInfo) {
+    if (!taskInfo.dryRun) return sessionInfo.client;
+
+    const waClient = transport.dryRunSocket(sessionInfo);
+    attachReceiptTracking(waClient);
+    return waClient;
+}
+
+function pausedReason(taskInfo) {
+    if (taskInfo.pausedAt) return "Paused by user";
+    return taskInfo.pause?.reason || null;
+}
+
+// Cursor positions in the task: one per message per target, including
+// targets removed with /update-task, so delivery indexes never shift
+function deliverySlots(taskInfo) {
+    return taskInfo.messagesPerTarget * taskInfo.results.length;
+}
+
+function skipRemovedTargets(taskInfo) {
+    const recipientCount = taskInfo.results.length;
+    while (taskInfo.cursor < deliverySlots(taskInfo) && taskInfo.results[taskInfo.cursor % recipientCount].removed) {
+        taskInfo.cursor++;
+    }
+}
+
+function getTaskStatus(taskInfo) {
+    if (taskInfo.isSending) return taskInfo.pausedAt || taskInfo.pause ? "paused" : "running";
+    if (taskInfo.interrupted) return "interrupted";
+    return taskInfo.stopRequested ? "stopped" : "completed";
+}
+
+// Percent of the task's messages handled, whatever the outcome, so a task
+// with failures or skips still reaches 100
+function taskProgress(taskInfo) {
+    const handled = taskInfo.sentMessages + taskInfo.failedMessages + (taskInfo.skippedMessages || 0);
+    return Math.round((handled / taskInfo.totalMessages) * 100);
+}
+
+// Outcome kept in the task history: a stop without /stop-task (the session
+// dropped) or a task where every send failed counts as "failed"
+function historyStatus(taskInfo) {
+    if (taskInfo.stopRequested) return taskInfo.endedBy ? "stopped" : "failed";
+    return taskInfo.sentMessages === 0 && taskInfo.failedMessages > 0 ? "failed" : "completed";
+}
+
+// Keep finished tasks in memory (and on disk) for 10 minutes for status
+// checking; the history record is rewritten then with the receipts that
+// came in meanwhile
+function scheduleTaskRemoval(taskId) {
+    setTimeout(() => {
+        const taskInfo = activeTasks.get(taskId);
+        if (taskInfo && !taskInfo.isSending && !taskInfo.interrupted) {
+            taskHistory.archive(taskInfo, historyStatus(taskInfo));
+            activeTasks.delete(taskId);
+            deliveryTracker.forget(taskId);
+            logs.forget("task", taskId);
+            taskStore.removeTask(taskId);
+            console.log(`[${taskId}] Removed from memory`);
+        }
+    }, 600000);
+}
+
+// Per-message breakdown for /task-messages, filterable by delivery status
+function taskMessagesPayload(taskInfo, { status, offset = 0, limit = 100 } = {}) {
+    let entries = [];
+    try { entries = taskStore.loadTaskMessages(taskInfo.taskId); } catch (e) { }
+
+    const deliveries = deliveryTracker.getDeliveries(taskInfo.taskId)
+        .filter(delivery => !status || delivery.status === status);
+    const start = Math.max(0, parseInt(offset, 10) || 0);
+    const count = Math.min(500, Math.max(1, parseInt(limit, 10) || 100));
+
+    return {
+        taskId: taskInfo.taskId,
+        total: deliveries.length,
+        offset: start,
+        limit: count,
+        messages: deliveries.slice(start, start + count).map(delivery => ({
+            index: delivery.index,
+            recipient: delivery.recipient,
+            text: entries[delivery.messageIndex] !== undefined ? media.messageText(entries[delivery.messageIndex]) : null,
+            attachment: entries[delivery.messageIndex]?.attachment?.fileName || null,
+            messageId: delivery.messageId,
+            status: delivery.status,
+            error: delivery.error,
+            sentAt: delivery.sentAt,
+            serverAckAt: delivery.serverAckAt,
+            deliveredAt: delivery.deliveredAt,
+            readAt: delivery.readAt,
+            deliveredTo: Object.keys(delivery.receipts).length,
+            readBy: Object.values(delivery.receipts).filter(state => state === "read").length
+        }))
+    };
+}
+
+// Error message when the session or owner may not start another task
+function concurrencyError(sessionId, ownerId) {
+    const running = [...activeTasks.values()].filter(task => task.isSending);
+    return policy.checkConcurrency({
+        sessionId,
+        ownerId,
+        sessionTasks: running.filter(task => task.sessionId === sessionId).length,
+        ownerTasks: running.filter(task => task.ownerId === ownerId).length
+    });
+}
+
+// Holds a task whose session or owner has used up its quota until the
+// window frees up again (or the task is stopped)
+async function waitForQuota(taskInfo, quota) {
+    taskInfo.pause = { reason: quota.reason, resumeAt: quota.resumeAt, since: new Date().toISOString() };
+    taskStore.checkpointTask(taskInfo);
+    liveEvents.publish(taskInfo.ownerId, "task.paused", taskStatusPayload(taskInfo));
+    console.log(`⏸️ [${taskInfo.taskId}] Paused until ${quota.resumeAt}: ${quota.reason}`);
+    logs.forTask(taskInfo).warn({ scope: quota.scope, window: quota.window, limit: quota.limit, resumeAt: quota.resumeAt }, quota.reason);
+
+    const resumeAt = new Date(quota.resumeAt).getTime();
+    while (!taskInfo.stopRequested && !shuttingDown && Date.now() < resumeAt) {
+        await delay(Math.min(1000, resumeAt - Date.now()));
+    }
+
+    taskInfo.pause = null;
+    taskStore.checkpointTask(taskInfo);
+    if (!taskInfo.stopRequested) {
+        liveEvents.publish(taskInfo.ownerId, "task.resumed", taskStatusPayload(taskInfo));
+        console.log(`▶️ [${taskInfo.taskId}] Quota available again`);
+        logs.forTask(taskInfo).info("Quota available again, sending");
+    }
+}
+
+function publishTaskMessage(taskInfo, result, delivery, status, error = null) {
+    liveEvents.publish(taskInfo.ownerId, "task.message", {
+        taskId: taskInfo.taskId,
+        sessionId: taskInfo.sessionId,
+        index: delivery.index,
+        messageIndex: delivery.messageIndex,
+        recipient: result.recipient,
+        name: result.name,
+        status,
+        error,
+        sentMessages: taskInfo.sentMessages,
+        failedMessages: taskInfo.failedMessages,
+        skippedMessages: taskInfo.skippedMessages,
+        totalMessages: taskInfo.totalMessages,
+        progress: taskProgress(taskInfo)
+    });
+}
+
+// Sends every message to every recipient of the task in order, starting at
+// taskInfo.cursor, and resolves with the task once it completes or is stopped
+async function runTask(taskInfo, waClient, messages) {
+    const { taskId } = taskInfo;
+    const recipientCount = taskInfo.results.length;
+    const log = logs.forTask(taskInfo);
+
+    log.info(
+        { totalMessages: taskInfo.totalMessages, recipients: taskInfo.recipients, delayMs: taskInfo.delayMs, cursor: taskInfo.cursor, dryRun: taskInfo.dryRun },
+        taskInfo.cursor === 0 ? "Task started" : "Task resumed"
+    );
+
+    liveEvents.publish(taskInfo.ownerId, taskInfo.cursor === 0 ? "task.started" : "task.resumed", taskStatusPayload(taskInfo));
+    if (taskInfo.cursor === 0) webhooks.emit(taskInfo.ownerId, "task.started", taskStatusPayload(taskInfo));
+
+    try {
+        while (!taskInfo.stopRequested && !shuttingDown) {
+            // Pauses and edits from /pause-task and /update-task apply here,
+            // between messages
+            if (taskInfo.pausedAt) {
+                await delay(500);
+                continue;
+            }
+            skipRemovedTargets(taskInfo);
+            if (taskInfo.cursor >= deliverySlots(taskInfo)) break;
+
+            const result = taskInfo.results[taskInfo.cursor % recipientCount];
+            const delivery = {
+                index: taskInfo.cursor,
+                messageIndex: Math.floor(taskInfo.cursor / recipientCount),
+                recipient: result.recipient
+            };
+
+            // Checked before every send: a recipient may opt out mid-task
+            const blocked = recipientBlockReason(taskInfo.ownerId, result.recipient);
+            if (blocked) {
+                result.skipped++;
+                taskInfo.skippedMessages++;
+                deliveryTracker.recordSkipped(taskId, { ...delivery, reason: blocked });
+                log.info({ index: delivery.index, recipient: result.recipient }, `Skipped: ${blocked}`);
+                publishTaskMessage(taskInfo, result, delivery, "skipped", blocked);
+                taskInfo.cursor++;
+                taskStore.checkpointTask(taskInfo);
+                continue;
+            }
+
+            // Dry runs send nothing, so they neither wait for nor use up quota
+            const quota = taskInfo.dryRun ? null : policy.checkQuota(taskInfo.sessionId, taskInfo.ownerId);
+            if (quota) {
+                await waitForQuota(taskInfo, quota);
+                continue;
+            }
+
+            taskInfo.sendingSlot = taskInfo.cursor;
+            // The text as this recipient gets it (placeholders filled in,
+            // prefix added), recorded with the outcome for the task report
+            let text = null;
+            try {
+                const context = templateContext(taskInfo, result.recipient);
+                const content = media.buildMessageContent(
+                    templates.renderEntry(messages[delivery.messageIndex], context),
+                    templates.renderTemplate(taskInfo.prefix, context).text
+                );
+                text = content.text ?? content.caption ?? null;
+                const sent = await waClient.sendMessage(result.recipient, content);
+                deliveryTracker.recordSent(taskId, { ...delivery, key: sent?.key, text });
+                log.debug({ index: delivery.index, recipient: result.recipient, messageId: sent?.key?.id || null }, "Message sent");
+
+                result.sent++;
+                taskInfo.sentMessages++;
+                taskInfo.lastUpdate = new Date();
+                if (!taskInfo.dryRun) policy.recordSend(taskInfo.sessionId, taskInfo.ownerId);
+                publishTaskMessage(taskInfo, result, delivery, "sent");
+                
+                // Show progress every 10 messages
+                if (taskInfo.sentMessages % 10 === 0 || taskInfo.sentMessages === taskInfo.totalMessages) {
+                    console.log(`[${taskId}] Progress: ${taskInfo.sentMessages}/${taskInfo.totalMessages} messages sent`);
+                }
+                
+            } catch (sendErr) {
+                console.error(`[${taskId}] Send error:`, sendErr);
+                log.error({ index: delivery.index, recipient: result.recipient, err: sendErr }, "Send failed");
+                result.failed++;
+                result.error = sendErr?.message || String(sendErr);
+                result.lastErrorAt = new Date();
+                deliveryTracker.recordFailed(taskId, { ...delivery, error: result.error, text });
+                taskInfo.failedMessages++;
+                taskInfo.error = result.error;
+                taskInfo.lastError = new Date();
+                publishTaskMessage(taskInfo, result, delivery, "failed", result.error);
+                
+                if (/closed|disconnected/i.test(sendErr.message || "")) {
+                    taskInfo.stopRequested = true;
+                    taskInfo.error = "Session disconnected. Please reconnect.";
+                    log.warn("Stopping: session disconnected");
+                }
+            }
+            taskInfo.sendingSlot = null;
+
+            taskInfo.cursor++;
+            skipRemovedTargets(taskInfo);
+            taskStore.checkpointTask(taskInfo);
+
+            if (taskInfo.cursor >= deliverySlots(taskInfo)) break;
+
+            // Re-read every second so /update-task can shorten a long wait
+            const waitStart = Date.now();
+            let remaining = policy.effectiveDelay(taskInfo.delayMs);
+            while (remaining > 0 && !taskInfo.stopRequested && !shuttingDown) {
+                await delay(Math.min(1000, remaining));
+                remaining = policy.effectiveDelay(taskInfo.delayMs) - (Date.now() - waitStart);
+            }
+        }
+    } finally {
+        taskInfo.isSending = false;
+        // A dry run's simulated socket is its own; close it once the last
+        // simulated receipts have had time to arrive
+        if (taskInfo.dryRun) setTimeout(() => waClient.end(), DRY_RUN_SOCKET_LINGER_MS).unref();
+
+        if (shuttingDown && !taskInfo.stopRequested && taskInfo.cursor < deliverySlots(taskInfo)) {
+            // Left for /resume-task after the restart, like a crash but
+            // with the checkpoint taken between messages
+            taskInfo.interrupted = true;
+            taskInfo.pausedAt = null;
+            taskInfo.pause = null;
+            taskStore.checkpointTask(taskInfo);
+            console.log(`⏸️ [${taskId}] Interrupted by shutdown at ${taskInfo.cursor}/${deliverySlots(taskInfo)}`);
+            log.info({ cursor: taskInfo.cursor }, "Interrupted by shutdown");
+        } else {
+            taskInfo.endTime = new Date();
+            taskInfo.completed = !taskInfo.stopRequested;
+            taskStore.checkpointTask(taskInfo);
+            taskHistory.archive(taskInfo, historyStatus(taskInfo));
+
+            const status = taskInfo.stopRequested ? "STOPPED" : "COMPLETED";
+            console.log(`[${taskId}] ${status}: ${taskInfo.sentMessages}/${taskInfo.totalMessages} messages sent`);
+            liveEvents.publish(taskInfo.ownerId, `task.${status.toLowerCase()}`, taskStatusPayload(taskInfo));
+            webhooks.emit(taskInfo.ownerId, `task.${historyStatus(taskInfo)}`, taskStatusPayload(taskInfo));
+            log.info(
+                { sentMessages: taskInfo.sentMessages, failedMessages: taskInfo.failedMessages, skippedMessages: taskInfo.skippedMessages },
+                taskInfo.stopRequested ? "Task stopped" : "Task completed"
+            );
+
+            scheduleTaskRemoval(taskId);
+        }
+    }
+
+    return taskInfo;
+}
+
+function stopTask(taskInfo, endedBy) {
+    const wasInterrupted = taskInfo.interrupted;
+    taskInfo.stopRequested = true;
+    taskInfo.interrupted = false;
+    taskInfo.isSending = false;
+    taskInfo.pausedAt = null;
+    taskInfo.endTime = new Date();
+    taskInfo.endedBy = endedBy;
+    logs.forTask(taskInfo).info({ endedBy }, "Stop requested");
+
+    // A running task checkpoints itself when its loop exits
+    if (wasInterrupted) {
+        taskStore.checkpointTask(taskInfo);
+        taskHistory.archive(taskInfo, historyStatus(taskInfo));
+        scheduleTaskRemoval(taskInfo.taskId);
+        liveEvents.publish(taskInfo.ownerId, "task.stopped", taskStatusPayload(taskInfo));
+        webhooks.emit(taskInfo.ownerId, "task.stopped", taskStatusPayload(taskInfo));
+    }
+}
+
+// Continue an interrupted task from its last checkpointed cursor
+function resumeTask(taskInfo, sessionInfo) {
+    const messages = taskStore.loadTaskMessages(taskInfo.taskId);
+    taskInfo.interrupted = false;
+    taskInfo.stopRequested = false;
+    taskInfo.pausedAt = null;
+    taskInfo.isSending = true;
+    taskInfo.endTime = null;
+    taskInfo.lastUpdate = new Date();
+    taskStore.checkpointTask(taskInfo);
+
+    console.log(`▶️ Task RESUMED: ${taskInfo.taskId} at ${taskInfo.cursor}/${taskInfo.totalMessages}`);
+    return runTask(taskInfo, clientForTask(taskInfo, sessionInfo), messages);
+}
+
+function pauseTask(taskInfo) {
+    taskInfo.pausedAt = new Date().toISOString();
+    taskStore.checkpointTask(taskInfo);
+    liveEvents.publish(taskInfo.ownerId, "task.paused", taskStatusPayload(taskInfo));
+    logs.forTask(taskInfo).info({ cursor: taskInfo.cursor }, "Paused by user");
+    console.log(`⏸️ Task PAUSED: ${taskInfo.taskId} at ${taskInfo.cursor}/${deliverySlots(taskInfo)}`);
+}
+
+function unpauseTask(taskInfo) {
+    taskInfo.pausedAt = null;
+    taskInfo.lastUpdate = new Date();
+    taskStore.checkpointTask(taskInfo);
+    liveEvents.publish(taskInfo.ownerId, "task.resumed", taskStatusPayload(taskInfo));
+    logs.forTask(taskInfo).info({ cursor: taskInfo.cursor }, "Resumed by user");
+    console.log(`▶️ Task RESUMED: ${taskInfo.taskId} at ${taskInfo.cursor}/${deliverySlots(taskInfo)}`);
+}
+
+// Changes the delay or prefix of a running, paused or interrupted task, or
+// drops some of its targets. The loop reads these before every message, so
+// they apply from the next one. Returns { changes } or { status, error }.
+function updateTask(taskInfo, { delayMs, prefix, removeTargets }) {
+    if (!taskInfo.isSending && !taskInfo.interrupted) {
+        return { status: 400, error: `Task ${taskInfo.taskId} is ${getTaskStatus(taskInfo)} and can no longer be changed` };
+    }
+    if (delayMs === undefined && prefix === undefined && removeTargets === undefined) {
+        return { status: 400, error: "Nothing to update. Pass a delay, prefix or removeTargets." };
+    }
+
+    if (delayMs !== undefined) {
+        const delayError = policy.validateDelay(delayMs);
+        if (delayError) return { status: 400, error: delayError };
+    }
+    if (prefix !== undefined && typeof prefix !== "string") {
+        return { status: 400, error: "Prefix must be text" };
+    }
+
+    const removing = [];
+    if (removeTargets !== undefined) {
+        const byRecipient = new Map(taskInfo.results.map(result => [result.recipient, result]));
+        const unknown = [];
+        for (const id of new Set(removeTargets)) {
+            const result = byRecipient.get(id) || byRecipient.get(toRecipientJid(id, taskInfo.targetType));
+            if (!result) unknown.push(id);
+            else if (!result.removed) removing.push(result);
+        }
+        if (unknown.length > 0) {
+            return { status: 400, error: `Not targets of this task: ${unknown.join(", ")}` };
+        }
+        if (taskInfo.results.every(result => result.removed || removing.includes(result))) {
+            return { status: 400, error: "Cannot remove every target. Stop the task instead." };
+        }
+    }
+
+    const changes = {};
+    if (delayMs !== undefined) {
+        taskInfo.delayMs = delayMs;
+        changes.delayMs = delayMs;
+    }
+    if (prefix !== undefined) {
+        taskInfo.prefix = prefix;
+        changes.prefix = prefix;
+    }
+    if (removing.length > 0) {
+        const recipientCount = taskInfo.results.length;
+        for (const result of removing) {
+            const index = taskInfo.results.indexOf(result);
+            // Messages still ahead of the cursor for this target drop out of
+            // the total; one already being sent still counts
+            for (let m = 0; m < taskInfo.messagesPerTarget; m++) {
+                const slot = m * recipientCount + index;
+                if (slot >= taskInfo.cursor && slot !== taskInfo.sendingSlot) taskInfo.totalMessages--;
+            }
+            result.removed = true;
+            result.removedAt = new Date().toISOString();
+        }
+        changes.removedTargets = removing.map(result => result.recipient);
+    }
+
+    taskInfo.lastUpdate = new Date();
+    taskStore.checkpointTask(taskInfo);
+    liveEvents.publish(taskInfo.ownerId, "task.updated", { ...taskStatusPayload(taskInfo), changes });
+    logs.forTask(taskInfo).info({ changes }, "Task updated");
+    console.log(`✏️ Task UPDATED: ${taskInfo.taskId}`, changes);
+    return { changes };
+}
+
+// Tasks that were still sending when the server went down come back as
+// "interrupted" and wait for /resume-task
+function restoreTasks() {
+    for (const taskInfo of taskStore.loadTasks()) {
+        deliveryTracker.restore(taskInfo.taskId);
+        // Checkpoints written before opt-out handling have no skip counters
+        taskInfo.skippedMessages = taskInfo.skippedMessages || 0;
+        taskInfo.results.forEach(result => { result.skipped = result.skipped || 0; });
+        taskInfo.pause = null;
+        // A send cut off by the restart is retried on resume
+        taskInfo.sendingSlot = null;
+        if (taskInfo.isSending || taskInfo.interrupted) {
+            taskInfo.isSending = false;
+            taskInfo.interrupted = true;
+            taskStore.checkpointTask(taskInfo);
+            console.log(`⏸️ Task ${taskInfo.taskId} interrupted at ${taskInfo.cursor}/${taskInfo.totalMessages}`);
+        } else {
+            scheduleTaskRemoval(taskInfo.taskId);
+        }
+        activeTasks.set(taskInfo.taskId, taskInfo);
+    }
+}
+
+// Validates uploaded attachments and turns the message file into message
+// entries; without a message file each attachment is sent once with the
+// caption. Lines may also refer to `knownAttachments` by file name.
+// Returns { messages, attachmentsByName } or { error }.
+function readUploadedMessages(req, knownAttachments = {}) {
+    const filePath = req.files?.messageFile?.[0]?.path;
+    const attachmentsByName = { ...knownAttachments };
+
+    for (const file of req.files?.attachments || []) {
+        const { kind, error } = media.classifyAttachment(file);
+        if (error) return { error };
+        attachmentsByName[file.originalname] = {
+            kind,
+            path: file.path,
+            fileName: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size
+        };
+    }
+
+    if (!filePath) {
+        const messages = Object.values(attachmentsByName).map(attachment => ({ text: req.body.caption || "", attachment }));
+        return { messages, attachmentsByName };
+    }
+
+    let lines;
+    try {
+        lines = fs.readFileSync(filePath, "utf-8").split("\n").map(m => m.trim()).filter(Boolean);
+        if (lines.length === 0) throw new Error("Message file empty");
+    } catch (err) {
+        return { error: "Invalid message file" };
+    }
+    try {
+        return { messages: lines.map(line => media.parseMessageLine(line, attachmentsByName)), attachmentsByName };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+// Moves uploaded attachments into `dir` so they outlive the upload folder
+function storeAttachments(attachmentsByName, dir) {
+    const uploaded = Object.values(attachmentsByName).filter(attachment => path.dirname(attachment.path) !== dir);
+    if (uploaded.length === 0) return;
+
+    fs.mkdirSync(dir, { recursive: true });
+    uploaded.forEach((attachment, i) => {
+        const finalPath = path.join(dir, `${i}${path.extname(attachment.fileName).toLowerCase()}`);
+        fs.renameSync(attachment.path, finalPath);
+        attachment.path = finalPath;
+    });
+}
+
+// --- SEND MESSAGE ---
+const sendMessageUpload = upload.fields([
+    { name: "messageFile", maxCount: 1 },
+    { name: "attachments", maxCount: MAX_ATTACHMENTS }
+]);
+
+app.post("/send-message", handleUpload(sendMessageUpload), async (req, res) => {
+    const { sessionId, target, delaySec, prefix, groupId, audience } = req.body;
+    const targetType = req.body.targetType || (hasValue(audience) ? "group" : undefined);
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+    const { ownerId } = req;
+    const groupIds = parseIdList(req.body.groupIds);
+    const filePath = req.files?.messageFile?.[0]?.path;
+    const attachmentFiles = req.files?.attachments || [];
+
+    if (!sessionId || !activeClients.has(sessionId)) {
+        discardUploads(req);
+        return res.status(400).json({ error: "Invalid or inactive sessionId" });
+    }
+    
+    const sessionInfo = activeClients.get(sessionId);
+    
+    // CHECK IF SESSION BELONGS TO THE USER
+    if (sessionInfo.ownerId !== ownerId) {
+        discardUploads(req);
+        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
+    }
+    
+    // Dry runs use a simulated socket, so they work while the session is offline
+    let waClient = null;
+    if (!dryRun) {
+        if (!sessionInfo.registered || sessionInfo.isConnecting) {
+            discardUploads(req);
+            return res.status(400).json({ error: "Session not ready. Please wait for connection." });
+        }
+
+        // Restored sessions that never reconnected get one more try, with a timeout
+        try {
+            waClient = await connections.ensureOpen(sessionId, sessionInfo);
+        } catch (err) {
+            discardUploads(req);
+            return res.status(503).json({ error: "Session is not connected: " + err.message });
+        }
+    }
+
+    if ((!target && !groupId && groupIds.length === 0 && !hasValue(audience)) || (!filePath && attachmentFiles.length === 0) || !targetType || !delaySec) {
+        discardUploads(req);
+        return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    const delayError = policy.validateDelay(parseFloat(delaySec) * 1000);
+    if (delayError) {
+        discardUploads(req);
+        return res.status(400).json({ error: delayError });
+    }
+
+    const resolved = await resolveTaskRecipients(sessionInfo, { sessionId, audience, target, targetType, groupId, groupIds, dryRun });
+    if (resolved.error) {
+        discardUploads(req);
+        return res.status(resolved.status).json({ error: resolved.error });
+    }
+    const { recipients, recipientNames, finalTarget } = resolved;
+
+    // Checked after the last await, so requests that arrive together cannot
+    // all pass it before the first one's task exists
+    const busy = concurrencyError(sessionId, ownerId);
+    if (busy) {
+        discardUploads(req);
+        return res.status(429).json({ error: busy });
+    }
+
+    let variables;
+    try {
+        variables = templates.parseVariables(req.body.variables);
+    } catch (err) {
+        discardUploads(req);
+        return res.status(400).json({ error: err.message });
     }
 
     // SIMPLE TASK ID - Easy to remember and use for stopping
-    const taskId = TASK_${Date.now()};
+    const taskId = `TASK_${Date.now()}`;
+
+    // Message lines refer to attachments by original file name
+    const { messages, attachmentsByName, error: messageError } = readUploadedMessages(req);
+    if (messageError) {
+        discardUploads(req);
+        return res.status(400).json({ error: messageError });
+    }
+
+    // Keep attachments with the task so it can be resumed after a restart
+    storeAttachments(attachmentsByName, taskStore.attachmentsDir(taskId));
+
+    const taskInfo = createTask({
+        taskId,
+        sessionId,
+        ownerId,
+        messages,
+        recipients,
+        recipientNames,
+        target: finalTarget,
+        targetType,
+        prefix,
+        variables,
+        delayMs: parseFloat(delaySec) * 1000,
+        groupId,
+        audience: resolved.audience,
+        dryRun
+    });
+    safeDeleteFile(filePath);
+    
+    // RETURN TASK ID CLEARLY - This is what you need to stop the task
+    res.json({ 
+        success: true,
+        taskId: taskId,
+        status: "started", 
+        totalMessages: taskInfo.totalMessages,
+        totalTargets: taskInfo.results.length,
+        dryRun,
+        message: `${dryRun ? "🧪 Dry run" : "📨 Task"} STARTED! Use this ID to stop: ${taskId}`
+    });
+
+    auditRequest(req, "task.started", {
+        sessionId,
+        taskId,
+        target: finalTarget,
+        details: { targetType, audience: taskInfo.audience, totalMessages: taskInfo.totalMessages, attachments: attachmentFiles.length, delayMs: taskInfo.delayMs, dryRun }
+    });
+
+    console.log(`🚀 Task STARTED: ${taskId}`);
+    console.log(`📝 Messages: ${messages.length}`);
+    if (attachmentFiles.length > 0) console.log(`📎 Attachments: ${attachmentFiles.length}`);
+    console.log(`🎯 Target: ${taskInfo.audience ? `audience "${taskInfo.audience}" (${finalTarget})` : finalTarget}`);
+    console.log(`📋 Target Type: ${targetType}`);
+    console.log(`⏰ Delay: ${delaySec}s`);
+    console.log(`👤 Owner: ${taskInfo.ownerId}`);
+    if (dryRun) console.log(`🧪 Dry run: nothing will be sent to WhatsApp`);
+    console.log(`🛑 STOP COMMAND: curl -X POST http://localhost:${PORT}/stop-task -d "taskId=${taskId}"`);
+
+    runTask(taskInfo, dryRun ? clientForTask(taskInfo, sessionInfo) : waClient, messages);
+});
+
+// --- PREVIEW MESSAGE ---
+app.post("/preview-message", handleUpload(upload.single("messageFile")), async (req, res) => {
+    const { sessionId, target, targetType = "group", groupId, prefix, audience } = req.body;
+    const { ownerId } = req;
+    const groupIds = parseIdList(req.body.groupIds);
+    const filePath = req.file?.path;
+    const limit = Math.min(200, Math.max(1, parseInt(req.body.limit, 10) || 20));
+
+    if (!sessionId || !activeClients.has(sessionId)) {
+        safeDeleteFile(filePath);
+        return res.status(400).json({ error: "Invalid or inactive sessionId" });
+    }
+    
+    const sessionInfo = activeClients.get(sessionId);
+    
+    // CHECK IF SESSION BELONGS TO THE USER
+    if (sessionInfo.ownerId !== ownerId) {
+        safeDeleteFile(filePath);
+        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
+    }
+
+    let lines;
+    try {
+        const source = filePath ? fs.readFileSync(filePath, "utf-8") : String(req.body.message || "");
+        lines = source.split("\n").map(m => m.trim()).filter(Boolean);
+    } finally {
+        safeDeleteFile(filePath);
+    }
+    if (lines.length === 0) {
+        return res.status(400).json({ error: "A messageFile or message is required" });
+    }
+
+    let variables;
+    try {
+        variables = templates.parseVariables(req.body.variables);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const resolved = await resolveTaskRecipients(sessionInfo, { sessionId, audience, target, targetType, groupId, groupIds });
+    if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    res.json({
+        success: true,
+        totalMessages: lines.length,
+        totalTargets: resolved.recipients.length,
+        targets: buildPreview(sessionId, lines, resolved, { variables, prefix, limit })
+    });
+});
+
+// --- TASK STATUS ---
+app.get("/task-status", (req, res) => {
+    const taskId = req.query.taskId;
+    const { ownerId } = req;
+    
+    if (!taskId) return res.status(400).json({ error: "Task ID is required" });
+    
+    if (!activeTasks.has(taskId)) {
+        return res.status(404).json({ error: "Task not found. It may be completed or never existed." });
+    }
+
+    const taskInfo = activeTasks.get(taskId);
+    
+    // CHECK OWNERSHIP
+    if (taskInfo.ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    }
+
+    const receipts = deliveryTracker.summarize(taskId);
+    res.json({
+        taskId: taskInfo.taskId,
+        status: getTaskStatus(taskInfo),
+        sentMessages: taskInfo.sentMessages,
+        failedMessages: taskInfo.failedMessages,
+        skippedMessages: taskInfo.skippedMessages,
+        serverAckMessages: receipts.serverAck,
+        deliveredMessages: receipts.delivered,
+        readMessages: receipts.read,
+        totalMessages: taskInfo.totalMessages,
+        progress: taskProgress(taskInfo),
+        startTime: taskInfo.startTime,
+        endTime: taskInfo.endTime,
+        pausedReason: pausedReason(taskInfo),
+        pausedAt: taskInfo.pausedAt || null,
+        resumeAt: taskInfo.pause?.resumeAt || null,
+        dryRun: taskInfo.dryRun || false,
+        error: taskInfo.error,
+        groups: taskInfo.targetType === "group" ? groupProgress(taskInfo) : undefined
+    });
+});
+
+// --- TASK MESSAGES (per-message delivery breakdown) ---
+app.get("/task-messages", (req, res) => {
+    const { taskId, status, offset, limit } = req.query;
+    const { ownerId } = req;
+    
+    if (!taskId) return res.status(400).json({ error: "Task ID is required" });
+    
+    if (!activeTasks.has(taskId)) {
+        return res.status(404).json({ error: "Task not found. It may be completed or never existed." });
+    }
+
+    const taskInfo = activeTasks.get(taskId);
+    
+    // CHECK OWNERSHIP
+    if (taskInfo.ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    }
+
+    res.json(taskMessagesPayload(taskInfo, { status, offset, limit }));
+});
+
+// Buffered log entries for a task or session, filtered by ?level= and ?limit=
+function logsPayload(res, scope, id, { level, limit }) {
+    if (level && !logs.LEVELS.includes(level)) {
+        res.status(400).json({ error: `level must be one of ${logs.LEVELS.join(", ")}` });
+        return;
+    }
+    const entries = logs.read(scope, id, { level, limit });
+    res.json({ [`${scope}Id`]: id, entries, total: entries.length });
+}
+
+// --- TASK LOGS ---
+app.get("/task-logs", (req, res) => {
+    const { taskId } = req.query;
+    const { ownerId } = req;
+
+    if (!taskId) return res.status(400).json({ error: "Task ID is required" });
+
+    if (!activeTasks.has(taskId)) {
+        return res.status(404).json({ error: "Task not found. It may be completed or never existed." });
+    }
+
+    // CHECK OWNERSHIP
+    if (activeTasks.get(taskId).ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    }
+
+    logsPayload(res, "task", taskId, req.query);
+});
+
+// --- SESSION LOGS ---
+app.get("/session-logs", (req, res) => {
+    const { sessionId } = req.query;
+    const { ownerId } = req;
+
+    if (!sessionId) return res.status(400).json({ error: "Session ID is required" });
+
+    if (!activeClients.has(sessionId)) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+
+    // CHECK OWNERSHIP
+    if (activeClients.get(sessionId).ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
+    }
+
+    logsPayload(res, "session", sessionId, req.query);
+});
+
+// --- USER TASKS ---
+app.get("/user-tasks", (req, res) => {
+    const { ownerId } = req;
+
+    const userTasks = [...activeTasks.entries()]
+        .filter(([_, task]) => task.ownerId === ownerId)
+        .map(([id, task]) => ({
+            taskId: id,
+            sessionId: task.sessionId,
+            isSending: task.isSending,
+            status: getTaskStatus(task),
+            sentMessages: task.sentMessages,
+            totalMessages: task.totalMessages,
+            startTime: task.startTime,
+            target: task.target,
+            totalTargets: task.results.length,
+            scheduleId: task.scheduleId || null,
+            dryRun: task.dryRun || false,
+            progress: taskProgress(task)
+        }));
+    
+    res.json({ 
+        tasks: userTasks,
+        total: userTasks.length
+    });
+});
+
+// --- TASK HISTORY ---
+// Completed, stopped and failed tasks, newest first. Filters: status
+// (comma-separated), sessionId, audience, dryRun, search, from, to; paged
+// with offset/limit.
+function taskHistoryQuery(req, res) {
+    const { status, sessionId, audience, search, from, to } = req.query;
+
+    for (const [name, value] of [["from", from], ["to", to]]) {
+        if (value && isNaN(new Date(value).getTime())) {
+            return res.status(400).json({ error: `Invalid ${name} date` });
+        }
+    }
+    const unknownStatus = String(status || "").split(",").map(s => s.trim()).filter(s => s && !["completed", "stopped", "failed"].includes(s));
+    if (unknownStatus.length > 0) {
+        return res.status(400).json({ error: "status must be completed, stopped or failed" });
+    }
+    const dryRun = hasValue(req.query.dryRun) ? req.query.dryRun === "true" : undefined;
+
+    const tasks = taskHistory.query(req.ownerId, { status, sessionId, audience, dryRun, search, from, to });
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    res.json({ tasks: tasks.slice(offset, offset + limit), total: tasks.length, offset, limit });
+}
+
+// Report of one finished task with every message's outcome. format=csv or
+// format=json downloads it.
+function taskReport(req, res, taskId) {
+    const { format } = req.query;
+    if (!taskId) {
+        return res.status(400).json({ error: "Task ID is required. Example: taskId=TASK_123456789" });
+    }
+    if (format && !["csv", "json"].includes(format)) {
+        return res.status(400).json({ error: "format must be csv or json" });
+    }
+
+    const summary = taskHistory.get(taskId);
+    if (!summary) {
+        const running = activeTasks.get(taskId);
+        if (running && running.ownerId === req.ownerId) {
+            return res.status(409).json({ error: `Task ${taskId} is ${getTaskStatus(running)}; its report is ready once it ends` });
+        }
+        return res.status(404).json({ error: `No history for task ${taskId}` });
+    }
+    if (summary.ownerId !== req.ownerId) {
+        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    }
+
+    let record;
+    try {
+        record = taskHistory.loadRecord(taskId);
+    } catch (err) {
+        console.error(`❌ Could not read history for ${taskId}:`, err);
+        return res.status(500).json({ error: "Failed to read task history" });
+    }
+
+    if (!format) return res.json(record);
+    res.attachment(`${taskId}.${format}`);
+    return format === "csv"
+        ? res.type("text/csv").send(taskHistory.toCsv(record))
+        : res.json(record);
+}
+
+app.get("/task-history", taskHistoryQuery);
+
+app.get("/task-report", (req, res) => taskReport(req, res, req.query.taskId));
+
+// --- STOP TASK ---
+app.post("/stop-task", upload.none(), async (req, res) => {
+    const { taskId } = req.body;
+    const { ownerId } = req;
+    
+    if (!taskId) {
+        return res.status(400).json({ error: "Task ID is required. Example: taskId=TASK_123456789" });
+    }
+    
+    if (!activeTasks.has(taskId)) {
+        return res.status(404).json({ error: `Task ${taskId} not found. It may be already completed or never existed.` });
+    }
+
+    const taskInfo = activeTasks.get(taskId);
+    
+    // CHECK OWNERSHIP
+    if (taskInfo.ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    }
+    
+    if (!taskInfo.isSending && !taskInfo.interrupted) {
+        return res.json({ 
+            success: true, 
+            message: `Task ${taskId} is already ${taskInfo.stopRequested ? 'stopped' : 'completed'}`
+        });
+    }
+    
+    stopTask(taskInfo, "user");
+    auditRequest(req, "task.stopped", { sessionId: taskInfo.sessionId, taskId, details: { sentMessages: taskInfo.sentMessages } });
+
+    console.log(`🛑 Task STOPPED: ${taskId}`);
+    console.log(`📊 Final progress: ${taskInfo.sentMessages}/${taskInfo.totalMessages} messages sent`);
+
+    return res.json({ 
+        success: true, 
+        message: `Task ${taskId} stopped successfully`,
+        taskId: taskId,
+        sentMessages: taskInfo.sentMessages,
+        totalMessages: taskInfo.totalMessages,
+        progress: taskProgress(taskInfo)
+    });
+});
+
+// --- RESUME TASK ---
+app.post("/resume-task", upload.none(), async (req, res) => {
+    const { taskId } = req.body;
+    const { ownerId } = req;
+    
+    if (!taskId) {
+        return res.status(400).json({ error: "Task ID is required. Example: taskId=TASK_123456789" });
+    }
+    
+    if (!activeTasks.has(taskId)) {
+        return res.status(404).json({ error: `Task ${taskId} not found. It may be already completed or never existed.` });
+    }
+
+    const taskInfo = activeTasks.get(taskId);
+    
+    // CHECK OWNERSHIP
+    if (taskInfo.ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    }
+
+    if (taskInfo.pausedAt) {
+        unpauseTask(taskInfo);
+        auditRequest(req, "task.resumed", { sessionId: taskInfo.sessionId, taskId, details: { cursor: taskInfo.cursor } });
+        return res.json({
+            success: true,
+            message: `Task ${taskId} resumed with ${taskInfo.sentMessages}/${taskInfo.totalMessages} messages sent`,
+            taskId: taskId,
+            sentMessages: taskInfo.sentMessages,
+            totalMessages: taskInfo.totalMessages
+        });
+    }
+
+    if (!taskInfo.interrupted) {
+        return res.status(400).json({ error: `Task ${taskId} is ${getTaskStatus(taskInfo)} and cannot be resumed` });
+    }
+
+    // Dry runs resume on a simulated socket, so the session may be offline
+    const sessionInfo = activeClients.get(taskInfo.sessionId);
+    if (!sessionInfo || (!taskInfo.dryRun && getSessionStatus(sessionInfo) !== "connected")) {
+        return res.status(400).json({ error: "Session not ready. Please wait for connection." });
+    }
+
+    const busy = concurrencyError(taskInfo.sessionId, taskInfo.ownerId);
+    if (busy) {
+        return res.status(429).json({ error: busy });
+    }
+
+    try {
+        resumeTask(taskInfo, sessionInfo);
+        auditRequest(req, "task.resumed", { sessionId: taskInfo.sessionId, taskId, details: { cursor: taskInfo.cursor } });
+    } catch (err) {
+        console.error(`❌ Could not resume ${taskId}:`, err);
+        return res.status(500).json({ error: "Failed to resume task: " + err.message });
+    }
+
+    res.json({ 
+        success: true, 
+        message: `Task ${taskId} resumed from message ${taskInfo.cursor + 1}/${taskInfo.totalMessages}`,
+        taskId: taskId,
+        sentMessages: taskInfo.sentMessages,
+        totalMessages: taskInfo.totalMessages
+    });
+});
+
+// --- PAUSE TASK ---
+app.post("/pause-task", upload.none(), (req, res) => {
+    const { taskId } = req.body;
+    const { ownerId } = req;
+
+    if (!taskId) {
+        return res.status(400).json({ error: "Task ID is required. Example: taskId=TASK_123456789" });
+    }
+
+    if (!activeTasks.has(taskId)) {
+        return res.status(404).json({ error: `Task ${taskId} not found. It may be already completed or never existed.` });
+    }
+
+    const taskInfo = activeTasks.get(taskId);
+
+    // CHECK OWNERSHIP
+    if (taskInfo.ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    }
+
+    if (!taskInfo.isSending) {
+        return res.status(400).json({ error: `Task ${taskId} is ${getTaskStatus(taskInfo)} and cannot be paused` });
+    }
+
+    if (!taskInfo.pausedAt) {
+        pauseTask(taskInfo);
+        auditRequest(req, "task.paused", { sessionId: taskInfo.sessionId, taskId, details: { cursor: taskInfo.cursor } });
+    }
+
+    res.json({
+        success: true,
+        message: `Task ${taskId} paused. Use /resume-task to continue.`,
+        taskId: taskId,
+        sentMessages: taskInfo.sentMessages,
+        totalMessages: taskInfo.totalMessages
+    });
+});
+
+// --- UPDATE TASK ---
+// delaySec, prefix and removeTargets (group IDs or numbers) are all optional
+app.post("/update-task", upload.none(), (req, res) => {
+    const { taskId, delaySec, prefix, removeTargets } = req.body;
+    const { ownerId } = req;
+
+    if (!taskId) {
+        return res.status(400).json({ error: "Task ID is required. Example: taskId=TASK_123456789" });
+    }
+
+    if (!activeTasks.has(taskId)) {
+        return res.status(404).json({ error: `Task ${taskId} not found. It may be already completed or never existed.` });
+    }
+
+    const taskInfo = activeTasks.get(taskId);
+
+    // CHECK OWNERSHIP
+    if (taskInfo.ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    }
+
+    const updated = updateTask(taskInfo, {
+        delayMs: hasValue(delaySec) ? parseFloat(delaySec) * 1000 : undefined,
+        prefix,
+        removeTargets: hasValue(removeTargets) ? parseIdList(removeTargets) : undefined
+    });
+    if (updated.error) return res.status(updated.status).json({ error: updated.error });
+
+    auditRequest(req, "task.updated", { sessionId: taskInfo.sessionId, taskId, details: updated.changes });
+
+    res.json({
+        success: true,
+        message: `Task ${taskId} updated`,
+        taskId: taskId,
+        changes: updated.changes,
+        status: getTaskStatus(taskInfo),
+        totalMessages: taskInfo.totalMessages
+    });
+});
+
+// --- SCHEDULED TASKS ---
+// Schedules start a normal send task at runAt, or at every match of a cron
+// expression, on one session. A run that is due while its session is still
+// reconnecting waits up to SCHEDULE_GRACE_MS before it is skipped.
+const SCHEDULE_CHECK_MS = 15000;
+const SCHEDULE_GRACE_MS = 15 * 60 * 1000;
+const firingSchedules = new Set();
+let scheduleTimer = null;
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== "";
+}
+
+function schedulePayload(schedule) {
+    const { messages, ...rest } = schedule;
+    return {
+        ...rest,
+        totalMessages: messages.length,
+        preview: messages.slice(0, 3).map(entry => ({
+            text: media.messageText(entry),
+            attachment: entry.attachment?.fileName || null
+        }))
+    };
+}
+
+// Names of the fields an update changed, for the audit log
+const AUDITED_SCHEDULE_FIELDS = ["messages", "targetType", "target", "recipients", "audience", "prefix", "variables", "delayMs", "runAt", "cron", "timezone", "status"];
+
+function changedScheduleFields(before, after) {
+    return AUDITED_SCHEDULE_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Returns { schedule } with the fields that were provided applied to a copy
+// of `schedule`, or { status, error } when one of them is invalid
+async function applyScheduleFields(schedule, fields) {
+    const next = { ...schedule };
+
+    if (hasValue(fields.runAt) || hasValue(fields.cron) || hasValue(fields.timezone)) {
+        const timing = hasValue(fields.runAt) || hasValue(fields.cron)
+            ? { runAt: fields.runAt || null, cron: fields.cron || null }
+            : { runAt: next.runAt, cron: next.cron };
+        try {
+            Object.assign(next, schedules.planTiming({ ...timing, timezone: fields.timezone || next.timezone }));
+        } catch (err) {
+            return { status: 400, error: err.message };
+        }
+        next.status = "active";
+    }
+
+    const groupIds = parseIdList(fields.groupIds);
+    if (groupIds.length > 0 || hasValue(fields.target) || hasValue(fields.groupId) || hasValue(fields.audience)) {
+        const sessionInfo = activeClients.get(next.sessionId);
+        if (!sessionInfo) {
+            return { status: 400, error: "Invalid or inactive sessionId" };
+        }
+        const targetType = fields.targetType || (groupIds.length > 0 || hasValue(fields.audience) ? "group" : next.targetType);
+        const resolved = await resolveTaskRecipients(sessionInfo, {
+            sessionId: next.sessionId,
+            audience: fields.audience,
+            target: fields.target,
+            targetType,
+            groupId: fields.groupId,
+            groupIds
+        });
+        if (resolved.error) return resolved;
+
+        // An audience is looked up again at every run, so its members can change
+        next.audience = resolved.audience || null;
+        next.targetType = resolved.audience ? "group" : targetType;
+        next.target = resolved.finalTarget;
+        next.recipients = resolved.recipients;
+        next.recipientNames = resolved.recipientNames;
+    }
+
+    if (fields.prefix !== undefined) next.prefix = String(fields.prefix || "");
+
+    if (fields.variables !== undefined) {
+        try {
+            next.variables = templates.parseVariables(fields.variables);
+        } catch (err) {
+            return { status: 400, error: err.message };
+        }
+    }
+
+    if (hasValue(fields.delayMs)) {
+        const delayMs = parseFloat(fields.delayMs);
+        const delayError = policy.validateDelay(delayMs);
+        if (delayError) {
+            return { status: 400, error: delayError };
+        }
+        next.delayMs = delayMs;
+    }
+
+    return { schedule: next };
+}
+
+// Builds a new schedule from the request fields; the caller stores its
+// attachments and saves it
+async function createSchedule({ scheduleId, sessionId, ownerId, messages, fields }) {
+    const base = {
+        scheduleId: scheduleId || `SCHEDULE_${Date.now()}`,
+        sessionId,
+        ownerId,
+        status: "active",
+        messages,
+        targetType: null,
+        target: null,
+        recipients: [],
+        recipientNames: {},
+        audience: null,
+        prefix: "",
+        variables: {},
+        delayMs: policy.effectiveDelay(1000),
+        runAt: null,
+        cron: null,
+        timezone: null,
+        nextRunAt: null,
+        lastRunAt: null,
+        lastTaskId: null,
+        lastError: null,
+        runCount: 0,
+        createdAt: new Date().toISOString()
+    };
+
+    if (!hasValue(fields.runAt) && !hasValue(fields.cron)) {
+        return { status: 400, error: "runAt or cron is required" };
+    }
+    if (!hasValue(fields.target) && !hasValue(fields.groupId) && !hasValue(fields.audience) && parseIdList(fields.groupIds).length === 0) {
+        return { status: 400, error: "No target specified" };
+    }
+
+    return applyScheduleFields(base, fields);
+}
+
+// Gives each run its own copy of the schedule's attachments, since the task
+// deletes its attachment folder when it is cleaned up
+function copyScheduleAttachments(messages, taskId) {
+    const dir = taskStore.attachmentsDir(taskId);
+    const copies = new Map();
+
+    return messages.map(entry => {
+        if (typeof entry === "string") return entry;
+
+        const source = entry.attachment.path;
+        if (!copies.has(source)) {
+            fs.mkdirSync(dir, { recursive: true });
+            const copyPath = path.join(dir, `${copies.size}${path.extname(source)}`);
+            fs.copyFileSync(source, copyPath);
+            copies.set(source, { ...entry.attachment, path: copyPath });
+        }
+        return { ...entry, attachment: copies.get(source) };
+    });
+}
+
+async function fireSchedule(schedule) {
+    const { scheduleId } = schedule;
+    const dueAt = new Date(schedule.nextRunAt);
+    const lateBy = Date.now() - dueAt.getTime();
+
+    if (lateBy > SCHEDULE_GRACE_MS) {
+        console.log(`⏭️ Schedule ${scheduleId} missed its run at ${schedule.nextRunAt}`);
+        schedules.recordRun(schedule, { error: `Missed the run at ${schedule.nextRunAt}: the server or session was down, or too many tasks were running` });
+        return;
+    }
+
+    const sessionInfo = activeClients.get(schedule.sessionId);
+    if (!sessionInfo || getSessionStatus(sessionInfo) !== "connected") {
+        return; // try again on the next check
+    }
+    if (concurrencyError(schedule.sessionId, schedule.ownerId)) {
+        return; // wait for a running task to finish
+    }
+
+    const resolved = await resolveTaskRecipients(sessionInfo, {
+        sessionId: schedule.sessionId,
+        audience: schedule.audience,
+        target: schedule.target,
+        targetType: schedule.targetType,
+        groupIds: schedule.targetType === "group" ? schedule.recipients : []
+    });
+    if (resolved.error) {
+        console.error(`❌ Schedule ${scheduleId} could not start: ${resolved.error}`);
+        schedules.recordRun(schedule, { error: resolved.error });
+        return;
+    }
+    // Again: a request may have started a task while the groups loaded
+    if (concurrencyError(schedule.sessionId, schedule.ownerId)) {
+        return;
+    }
+
+    const taskId = `TASK_${Date.now()}`;
+    let messages;
+    try {
+        messages = copyScheduleAttachments(schedule.messages, taskId);
+    } catch (err) {
+        console.error(`❌ Schedule ${scheduleId} could not copy attachments:`, err.message);
+        schedules.recordRun(schedule, { error: "Attachment missing: " + err.message });
+        return;
+    }
+
+    const taskInfo = createTask({
+        taskId,
+        sessionId: schedule.sessionId,
+        ownerId: schedule.ownerId,
+        messages,
+        recipients: resolved.recipients,
+        recipientNames: resolved.recipientNames,
+        target: resolved.finalTarget,
+        targetType: schedule.targetType,
+        prefix: schedule.prefix,
+        variables: schedule.variables,
+        delayMs: schedule.delayMs,
+        audience: resolved.audience,
+        scheduleId
+    });
+    schedules.recordRun(schedule, { taskId });
+    audit.record({
+        ownerId: schedule.ownerId,
+        action: "task.started",
+        sessionId: schedule.sessionId,
+        taskId,
+        target: resolved.finalTarget,
+        details: { scheduleId, targetType: schedule.targetType, audience: taskInfo.audience, totalMessages: taskInfo.totalMessages }
+    });
+
+    console.log(`⏰ Schedule ${scheduleId} STARTED task ${taskId} (${taskInfo.totalMessages} messages)`);
+    runTask(taskInfo, sessionInfo.client, messages);
+}
+
+async function checkSchedules() {
+    for (const schedule of schedules.due()) {
+        if (firingSchedules.has(schedule.scheduleId)) continue;
+        firingSchedules.add(schedule.scheduleId);
+        try {
+            await fireSchedule(schedule);
+        } catch (err) {
+            console.error(`❌ Schedule ${schedule.scheduleId} failed:`, err);
+            schedules.recordRun(schedule, { error: err.message });
+        } finally {
+            firingSchedules.delete(schedule.scheduleId);
+        }
+    }
+}
+
+function startScheduler() {
+    const loaded = schedules.load();
+    console.log(`⏰ Loaded ${loaded.length} schedule(s)`);
+    scheduleTimer = setInterval(() => {
+        checkSchedules().catch(err => console.error("❌ Schedule check failed:", err));
+    }, SCHEDULE_CHECK_MS);
+}
+
+function findOwnedSchedule(req, res, scheduleId) {
+    const schedule = schedules.get(scheduleId);
+    if (!schedule) {
+        res.status(404).json({ error: `Schedule ${scheduleId} not found` });
+        return null;
+    }
+    if (schedule.ownerId !== req.ownerId) {
+        res.status(403).json({ error: "Access denied. This schedule does not belong to you." });
+        return null;
+    }
+    return schedule;
+}
+
+// --- SCHEDULE MESSAGE ---
+app.post("/schedule-message", handleUpload(sendMessageUpload), async (req, res) => {
+    const { sessionId, targetType, delaySec } = req.body;
+    const { ownerId } = req;
+    const filePath = req.files?.messageFile?.[0]?.path;
+
+    if (!sessionId || !activeClients.has(sessionId)) {
+        discardUploads(req);
+        return res.status(400).json({ error: "Invalid or inactive sessionId" });
+    }
+    if (activeClients.get(sessionId).ownerId !== ownerId) {
+        discardUploads(req);
+        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
+    }
+    if ((!filePath && !req.files?.attachments?.length) || (!targetType && !hasValue(req.body.audience)) || !delaySec) {
+        discardUploads(req);
+        return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    const { messages, attachmentsByName, error: messageError } = readUploadedMessages(req);
+    if (messageError) {
+        discardUploads(req);
+        return res.status(400).json({ error: messageError });
+    }
+
+    const scheduleId = `SCHEDULE_${Date.now()}`;
+    const created = await createSchedule({
+        scheduleId,
+        sessionId,
+        ownerId,
+        messages,
+        fields: { ...req.body, delayMs: parseFloat(delaySec) * 1000 }
+    });
+    if (created.error) {
+        discardUploads(req);
+        return res.status(created.status).json({ error: created.error });
+    }
+
+    storeAttachments(attachmentsByName, schedules.attachmentsDir(scheduleId));
+    schedules.save(created.schedule);
+    safeDeleteFile(filePath);
+
+    auditRequest(req, "schedule.created", { sessionId, target: created.schedule.target, details: { scheduleId, runAt: created.schedule.runAt, cron: created.schedule.cron } });
+    console.log(`⏰ Schedule CREATED: ${scheduleId} next run ${created.schedule.nextRunAt}`);
+    res.json({ success: true, schedule: schedulePayload(created.schedule) });
+});
+
+// --- LIST SCHEDULES ---
+app.get("/schedules", (req, res) => {
+    const list = schedules.listByOwner(req.ownerId).map(schedulePayload);
+    res.json({ schedules: list, total: list.length });
+});
+
+// --- UPDATE SCHEDULE ---
+// Any field accepted by /schedule-message may be sent; a new messageFile
+// replaces the messages and new attachments replace the old ones
+app.post("/update-schedule", handleUpload(sendMessageUpload), async (req, res) => {
+    if (!req.body.scheduleId) {
+        discardUploads(req);
+        return res.status(400).json({ error: "Schedule ID is required" });
+    }
+    const schedule = findOwnedSchedule(req, res, req.body.scheduleId);
+    if (!schedule) {
+        discardUploads(req);
+        return;
+    }
+
+    const filePath = req.files?.messageFile?.[0]?.path;
+    const newAttachments = req.files?.attachments || [];
+    const dir = schedules.attachmentsDir(schedule.scheduleId);
+
+    let uploaded = null;
+    if (filePath || newAttachments.length > 0) {
+        if (!filePath && !hasValue(req.body.caption)) {
+            discardUploads(req);
+            return res.status(400).json({ error: "Send a messageFile or caption with the new attachments" });
+        }
+        const known = {};
+        if (newAttachments.length === 0) {
+            schedule.messages.forEach(entry => { if (entry.attachment) known[entry.attachment.fileName] = entry.attachment; });
+        }
+        uploaded = readUploadedMessages(req, known);
+        if (uploaded.error) {
+            discardUploads(req);
+            return res.status(400).json({ error: uploaded.error });
+        }
+    }
+
+    const fields = { ...req.body };
+    if (hasValue(req.body.delaySec)) fields.delayMs = parseFloat(req.body.delaySec) * 1000;
+    const applied = await applyScheduleFields(schedule, fields);
+    if (applied.error) {
+        discardUploads(req);
+        return res.status(applied.status).json({ error: applied.error });
+    }
+
+    if (uploaded) {
+        if (newAttachments.length > 0) fs.rmSync(dir, { recursive: true, force: true });
+        storeAttachments(uploaded.attachmentsByName, dir);
+        applied.schedule.messages = uploaded.messages;
+        safeDeleteFile(filePath);
+    }
+
+    const changed = changedScheduleFields(schedule, applied.schedule);
+    const updated = schedules.save(applied.schedule);
+    auditRequest(req, "schedule.updated", { sessionId: updated.sessionId, target: updated.target, details: { scheduleId: updated.scheduleId, changed } });
+    console.log(`⏰ Schedule UPDATED: ${updated.scheduleId} next run ${updated.nextRunAt}`);
+    res.json({ success: true, schedule: schedulePayload(updated) });
+});
+
+// --- CANCEL SCHEDULE ---
+app.post("/cancel-schedule", upload.none(), (req, res) => {
+    if (!req.body.scheduleId) {
+        return res.status(400).json({ error: "Schedule ID is required" });
+    }
+    const schedule = findOwnedSchedule(req, res, req.body.scheduleId);
+    if (!schedule) return;
+
+    schedules.remove(schedule.scheduleId);
+    auditRequest(req, "schedule.cancelled", { sessionId: schedule.sessionId, details: { scheduleId: schedule.scheduleId } });
+    console.log(`🗑️ Schedule CANCELLED: ${schedule.scheduleId}`);
+    res.json({ success: true, message: `Schedule ${schedule.scheduleId} cancelled` });
+});
+
+// --- LIVE EVENTS ---
+// Server-Sent Events stream of the caller's task and session events.
+// ?taskId= and ?sessionId= narrow it down; EventSource reconnects resume
+// from the Last-Event-ID header.
+const EVENT_HEARTBEAT_MS = 25000;
+
+function streamEvents(req, res) {
+    const { taskId, sessionId } = req.query;
+    const since = req.get("Last-Event-ID") || req.query.lastEventId || null;
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const unsubscribe = liveEvents.subscribe(req.ownerId, event => {
+        if (taskId && event.data.taskId !== taskId) return;
+        if (sessionId && event.data.sessionId !== sessionId) return;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+    }, { since });
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), EVENT_HEARTBEAT_MS);
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+app.get("/events", streamEvents);
+
+// --- DELETE SESSION ---
+app.post("/delete-session", upload.none(), async (req, res) => {
+    const { sessionId } = req.body;
+    const { ownerId } = req;
+    
+    if (!sessionId) return res.status(400).json({ error: "Session ID is required" });
+    
+    if (!activeClients.has(sessionId)) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+
+    const sessionInfo = activeClients.get(sessionId);
+    
+    // CHECK OWNERSHIP
+    if (sessionInfo.ownerId !== ownerId) {
+        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
+    }
+
+    try {
+        destroySession(sessionId);
+        auditRequest(req, "session.deleted", { sessionId, target: sessionInfo.number || null });
+        
+        res.json({ 
+            success: true, 
+            message: `Session ${sessionId} deleted successfully`
+        });
+        
+    } catch (err) {
+        console.error(`❌ Error deleting session ${sessionId}:`, err);
+        res.status(500).json({ error: "Failed to delete session" });
+    }
+});
+
+// --- CLEANUP ENDPOINT ---
+app.post("/cleanup-session", upload.none(), async (req, res) => {
+    const { sessionId } = req.body;
+    const { ownerId } = req;
+    
+    if (sessionId === "all") {
+        // Only clean up sessions belonging to the authenticated owner
+        const cleaned = [];
+        activeClients.forEach((sessionInfo, id) => {
+            if (sessionInfo.ownerId === ownerId) {
+                try {
+                    connections.disconnect(id, sessionInfo);
+                    console.log(`🧹 Session cleaned up: ${id}`);
+                    activeClients.delete(id);
+                    cleaned.push(id);
+                } catch (e) {
+                    console.error(`Error cleaning up session ${id}:`, e);
+                }
+            }
+        });
+        auditRequest(req, "session.cleanup", { details: { sessionIds: cleaned } });
+        return res.json({ success: true, message: `Cleaned up ${cleaned.length} sessions for owner ${ownerId}` });
+    }
+    
+    res.json({ success: true, message: "Sessions cleaned up" });
+});
+
+// --- AUDIT LOG ---
+// Filters: action (exact, comma-separated or "task.*"), sessionId, taskId,
+// from, to. format=csv or format=json downloads every match; otherwise the
+// result is paged with offset/limit.
+async function auditQuery(req, res) {
+    const { action, sessionId, taskId, from, to, format } = req.query;
+
+    for (const [name, value] of [["from", from], ["to", to]]) {
+        if (value && isNaN(new Date(value).getTime())) {
+            return res.status(400).json({ error: `Invalid ${name} date` });
+        }
+    }
+    if (format && !["csv", "json"].includes(format)) {
+        return res.status(400).json({ error: "format must be csv or json" });
+    }
+
+    let events;
+    try {
+        events = await audit.query(req.ownerId, { action, sessionId, taskId, from, to });
+    } catch (err) {
+        console.error("❌ Could not read audit log:", err);
+        return res.status(500).json({ error: "Failed to read audit log" });
+    }
+
+    if (format) {
+        const fileName = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.attachment(fileName);
+        return format === "csv"
+            ? res.type("text/csv").send(audit.toCsv(events))
+            : res.json(events);
+    }
+
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    res.json({ events: events.slice(offset, offset + limit), total: events.length, offset, limit });
+}
+
+app.get("/audit", auditQuery);
+
+// --- API ROUTER (v1) ---
+// JSON API used by public/index.html and scripts. Mounted at both /api/v1 and
+// /api; requests are authenticated like every other route.
+const api = express.Router();
+const API_SESSION_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+function findOwnedSession(req, res, sessionId) {
+    const sessionInfo = activeClients.get(sessionId);
+    if (!sessionInfo) {
+        res.status(404).json({ error: "Session not found" });
+        return null;
+    }
+    if (sessionInfo.ownerId !== req.ownerId) {
+        res.status(403).json({ error: "Access denied. This session does not belong to you." });
+        return null;
+    }
+    return sessionInfo;
+}
+
+function findOwnedTask(req, res, taskId) {
+    const taskInfo = activeTasks.get(taskId);
+    if (!taskInfo) {
+        res.status(404).json({ error: "Task not found. It may be completed or never existed." });
+        return null;
+    }
+    if (taskInfo.ownerId !== req.ownerId) {
+        res.status(403).json({ error: "Access denied. This task does not belong to you." });
+        return null;
+    }
+    return taskInfo;
+}
+
+function sessionStatusPayload(sessionId, sessionInfo) {
+    return {
+        sessionId,
+        status: getSessionStatus(sessionInfo),
+        number: sessionInfo.number,
+        registered: sessionInfo.registered,
+        qrCode: sessionInfo.registered ? null : (sessionInfo.qrCode || null),
+        deviceInfo: sessionInfo.deviceInfo || null,
+        pairedAt: sessionInfo.pairedAt || null,
+        totalGroups: groupCache.count(sessionInfo),
+        suspended: sessionInfo.suspended || null,
+        lastError: sessionInfo.lastError || null
+    };
+}
+
+function taskStatusPayload(taskInfo) {
+    const receipts = deliveryTracker.summarize(taskInfo.taskId);
+    return {
+        taskId: taskInfo.taskId,
+        sessionId: taskInfo.sessionId,
+        status: getTaskStatus(taskInfo),
+        sentMessages: taskInfo.sentMessages,
+        failedMessages: taskInfo.failedMessages,
+        skippedMessages: taskInfo.skippedMessages,
+        deliveredMessages: receipts.delivered,
+        readMessages: receipts.read,
+        totalMessages: taskInfo.totalMessages,
+        progress: taskProgress(taskInfo),
+        startTime: taskInfo.startTime,
+        endTime: taskInfo.endTime,
+        scheduleId: taskInfo.scheduleId || null,
+        audience: taskInfo.audience || null,
+        pausedReason: pausedReason(taskInfo),
+        pausedAt: taskInfo.pausedAt || null,
+        resumeAt: taskInfo.pause?.resumeAt || null,
+        dryRun: taskInfo.dryRun || false,
+        error: taskInfo.error
+    };
+}
+
+api.post("/init-session", async (req, res) => {
+    const { sessionId } = req.body;
+    const number = req.body.number?.replace(/[^0-9]/g, "") || null;
+
+    if (!sessionId || !API_SESSION_ID.test(sessionId)) {
+        return res.status(400).json({ error: "Session ID may only contain letters, numbers, '-' and '_'" });
+    }
+
+    const existingSession = activeClients.get(sessionId);
+    if ((existingSession && existingSession.ownerId !== req.ownerId) || (!existingSession && sessionDirTaken(sessionId, req.ownerId))) {
+        return res.status(409).json({ error: "Session ID is already in use. Please choose another." });
+    }
+    if (existingSession) {
+        if (existingSession.suspended) {
+            return res.status(423).json({ error: "This session is suspended by an administrator." });
+        }
+        if (!existingSession.client && !existingSession.isConnecting) {
+            connections.connect(sessionId, existingSession);
+        }
+        return res.json(sessionStatusPayload(sessionId, existingSession));
+    }
+
+    const sessionInfo = {
+        client: null,
+        number,
+        authPath: path.join("temp", sessionId),
+        registered: false,
+        pairingCode: null,
+        qrCode: null,
+        ownerId: req.ownerId,
+        isConnecting: true,
+        deviceInfo: null,
+        pairedAt: null
+    };
+
+    if (!fs.existsSync(sessionInfo.authPath)) fs.mkdirSync(sessionInfo.authPath, { recursive: true });
+    activeClients.set(sessionId, sessionInfo);
+    saveSessionMeta(sessionId, sessionInfo);
+    console.log(`🆕 API session created: ${sessionId} (owner: ${req.ownerId})`);
+    auditRequest(req, "session.pairing_requested", { sessionId, target: number });
+
+    await connections.connect(sessionId, sessionInfo);
+
+    // Give the socket a moment to produce its first QR code
+    await connections.waitFor(sessionId, sessionInfo, info => getSessionStatus(info) !== "connecting", 5000)
+        .catch(() => {});
+
+    if (number && sessionInfo.client && !sessionInfo.registered) {
+        try {
+            sessionInfo.pairingCode = await sessionInfo.client.requestPairingCode(number);
+        } catch (err) {
+            console.log(`ℹ️ Pairing code not available for ${sessionId}:`, err.message);
+        }
+    }
+
+    res.json({ ...sessionStatusPayload(sessionId, sessionInfo), pairingCode: sessionInfo.pairingCode });
+});
+
+api.get("/sessions", (req, res) => {
+    const sessions = [...activeClients.entries()]
+        .filter(([_, info]) => info.ownerId === req.ownerId)
+        .map(([id, info]) => sessionStatusPayload(id, info));
+
+    res.json({ sessions, total: sessions.length });
+});
+
+api.get("/session-status/:id", (req, res) => {
+    const sessionInfo = findOwnedSession(req, res, req.params.id);
+    if (!sessionInfo) return;
+
+    res.json(sessionStatusPayload(req.params.id, sessionInfo));
+});
+
+api.get("/session-health", (req, res) => {
+    const sessions = [...activeClients.entries()]
+        .filter(([_, info]) => info.ownerId === req.ownerId)
+        .map(([id, info]) => sessionHealthPayload(id, info));
+
+    res.json({ sessions, total: sessions.length });
+});
+
+api.get("/session-health/:id", (req, res) => {
+    const sessionInfo = findOwnedSession(req, res, req.params.id);
+    if (!sessionInfo) return;
+
+    res.json(sessionHealthPayload(req.params.id, sessionInfo));
+});
+
+api.get("/session-logs/:id", (req, res) => {
+    const sessionInfo = findOwnedSession(req, res, req.params.id);
+    if (!sessionInfo) return;
+
+    logsPayload(res, "session", req.params.id, req.query);
+});
+
+api.get("/groups/:id", async (req, res) => {
+    const sessionInfo = findOwnedSession(req, res, req.params.id);
+    if (!sessionInfo) return;
+
+    if (getSessionStatus(sessionInfo) !== "connected") {
+        return res.status(400).json({ error: "Session not ready. Please wait for connection." });
+    }
+
+    try {
+        const cached = req.query.refresh !== "true" && groupCache.isLoaded(sessionInfo);
+        if (!cached) await groupCache.load(sessionInfo);
+        const groups = await sessionGroups(req.params.id, sessionInfo);
+        const matching = audiences.filterGroups(groups, audiences.parseFilters(req.query));
+        res.json({ success: true, groups: matching, total: matching.length, totalGroups: groups.length, cached });
+    } catch (error) {
+        console.error(`❌ Error fetching groups for ${req.params.id}:`, error);
+        res.status(500).json({ error: "Failed to fetch groups: " + (error.message || "Unknown error") });
+    }
+});
+
+// Owner-defined tags on a group, used by /groups?tag= and audiences
+api.put("/groups/:id/:groupId/tags", (req, res) => {
+    const sessionInfo = findOwnedSession(req, res, req.params.id);
+    if (!sessionInfo) return;
+
+    const groupId = toRecipientJid(req.params.groupId, "group");
+    if (groupCache.isLoaded(sessionInfo) && !groupCache.get(sessionInfo, groupId)) {
+        return res.status(404).json({ error: `Group ${groupId} not found in this session` });
+    }
+    if (!Array.isArray(req.body.tags)) {
+        return res.status(400).json({ error: "tags must be an array" });
+    }
+
+    const tags = audiences.setGroupTags(req.ownerId, req.params.id, groupId, req.body.tags);
+    res.json({ success: true, groupId, tags });
+});
+
+// Audiences: named group lists per session. Listed groupIds plus any group whose name
+// matches namePattern or that carries one of the tags. Tasks and schedules
+// take { audience: name } instead of groupIds.
+function findOwnedAudience(req, res, audienceId) {
+    const audience = audiences.get(req.ownerId, audienceId);
+    if (!audience) {
+        res.status(404).json({ error: `Audience ${audienceId} not found` });
+        return null;
+    }
+    return audience;
+}
+
+// The audience with its current members, when the session's groups are known
+function audiencePayload(audience, sessionInfo) {
+    if (!sessionInfo || !groupCache.isLoaded(sessionInfo)) {
+        return { ...audience, groups: null, totalGroups: null, missingGroupIds: [] };
+    }
+    const groups = audiences.withTags(sessionInfo.ownerId, audience.sessionId, groupCache.list(sessionInfo));
+    const resolved = audiences.resolve(audience, groups);
+    return { ...audience, groups: resolved.groups, totalGroups: resolved.groups.length, missingGroupIds: resolved.missing };
+}
+
+api.get("/audiences", (req, res) => {
+    const { sessionId } = req.query;
+    if (sessionId && !findOwnedSession(req, res, sessionId)) return;
+
+    const list = audiences.list(req.ownerId, sessionId || null)
+        .map(audience => audiencePayload(audience, activeClients.get(audience.sessionId)));
+    res.json({ success: true, audiences: list, total: list.length });
+});
+
+// { sessionId, name, groupIds?, namePattern?, tags? }
+api.post("/audiences", (req, res) => {
+    const { sessionId, name, groupIds, namePattern, tags } = req.body;
+    const sessionInfo = findOwnedSession(req, res, sessionId);
+    if (!sessionInfo) return;
+
+    let audience;
+    try {
+        audience = audiences.create(req.ownerId, sessionId, { name, groupIds, namePattern, tags });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    auditRequest(req, "audience.created", { sessionId, details: { audienceId: audience.audienceId, name: audience.name } });
+    console.log(`👥 Audience CREATED: ${audience.name} (${audience.audienceId})`);
+    res.status(201).json({ success: true, audience: audiencePayload(audience, sessionInfo) });
+});
+
+api.get("/audiences/:audienceId", (req, res) => {
+    const audience = findOwnedAudience(req, res, req.params.audienceId);
+    if (!audience) return;
+    res.json({ success: true, audience: audiencePayload(audience, activeClients.get(audience.sessionId)) });
+});
+
+// Rename or change the rules: { name?, groupIds?, namePattern?, tags? }
+api.patch("/audiences/:audienceId", (req, res) => {
+    const audience = findOwnedAudience(req, res, req.params.audienceId);
+    if (!audience) return;
+
+    const { name, groupIds, namePattern, tags } = req.body;
+    let updated;
+    try {
+        updated = audiences.update(req.ownerId, audience.audienceId, { name, groupIds, namePattern, tags });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    auditRequest(req, "audience.updated", { sessionId: updated.sessionId, details: { audienceId: updated.audienceId, name: updated.name, previousName: audience.name } });
+    res.json({ success: true, audience: audiencePayload(updated, activeClients.get(updated.sessionId)) });
+});
+
+api.delete("/audiences/:audienceId", (req, res) => {
+    const audience = findOwnedAudience(req, res, req.params.audienceId);
+    if (!audience) return;
+
+    audiences.remove(req.ownerId, audience.audienceId);
+    auditRequest(req, "audience.deleted", { sessionId: audience.sessionId, details: { audienceId: audience.audienceId, name: audience.name } });
+    res.json({ success: true, message: `Audience "${audience.name}" deleted` });
+});
+
+// Webhooks: task and session events POSTed to the owner's URLs, signed with
+// the webhook's secret (see README)
+function findOwnedWebhook(req, res, webhookId) {
+    const webhook = webhooks.get(req.ownerId, webhookId);
+    if (!webhook) {
+        res.status(404).json({ error: `Webhook ${webhookId} not found` });
+        return null;
+    }
+    return webhook;
+}
+
+api.get("/webhooks", (req, res) => {
+    const list = webhooks.list(req.ownerId);
+    res.json({ success: true, webhooks: list, total: list.length, events: webhooks.EVENTS });
+});
+
+// { url, events?, description? }; the secret is only shown in this response
+api.post("/webhooks", (req, res) => {
+    const { url, events, description } = req.body;
+    let created;
+    try {
+        created = webhooks.create(req.ownerId, { url, events, description });
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    auditRequest(req, "webhook.created", { target: created.webhook.url, details: { webhookId: created.webhook.id, events: created.webhook.events } });
+    console.log(`🪝 Webhook CREATED: ${created.webhook.url} (${created.webhook.id})`);
+    res.status(201).json({ success: true, webhook: created.webhook, secret: created.secret });
+});
+
+api.get("/webhooks/:webhookId", (req, res) => {
+    const webhook = findOwnedWebhook(req, res, req.params.webhookId);
+    if (!webhook) return;
+    res.json({ success: true, webhook });
+});
+
+// { url?, events?, description?, active?, rotateSecret? }
+api.patch("/webhooks/:webhookId", (req, res) => {
+    const webhook = findOwnedWebhook(req, res, req.params.webhookId);
+    if (!webhook) return;
+
+    const { url, events, description, active, rotateSecret } = req.body;
+    let updated;
+    try {
+        updated = webhooks.update(req.ownerId, webhook.id, {
+            url,
+            events,
+            description,
+            active: active === undefined ? undefined : active === true || active === "true",
+            rotateSecret: rotateSecret === true || rotateSecret === "true"
+        });
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    auditRequest(req, "webhook.updated", {
+        target: updated.webhook.url,
+        details: { webhookId: webhook.id, active: updated.webhook.active, events: updated.webhook.events, secretRotated: Boolean(updated.secret) }
+    });
+    res.json({ success: true, webhook: updated.webhook, ...(updated.secret ? { secret: updated.secret } : {}) });
+});
+
+api.delete("/webhooks/:webhookId", (req, res) => {
+    const webhook = findOwnedWebhook(req, res, req.params.webhookId);
+    if (!webhook) return;
+
+    webhooks.remove(req.ownerId, webhook.id);
+    auditRequest(req, "webhook.deleted", { target: webhook.url, details: { webhookId: webhook.id } });
+    res.json({ success: true, message: `Webhook ${webhook.id} deleted` });
+});
+
+// Delivery log, newest first; ?status=pending|delivered|failed
+api.get("/webhooks/:webhookId/deliveries", (req, res) => {
+    const webhook = findOwnedWebhook(req, res, req.params.webhookId);
+    if (!webhook) return;
+
+    const deliveries = webhooks.deliveryLog(webhook.id, { status: req.query.status });
+    res.json({ success: true, webhookId: webhook.id, deliveries, total: deliveries.length });
+});
+
+api.post("/webhooks/:webhookId/deliveries/:deliveryId/redeliver", (req, res) => {
+    const webhook = findOwnedWebhook(req, res, req.params.webhookId);
+    if (!webhook) return;
+
+    let delivery;
+    try {
+        delivery = webhooks.redeliver(req.ownerId, webhook.id, req.params.deliveryId);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+    res.status(202).json({ success: true, delivery });
+});
+
+// Queues a "webhook.test" event regardless of the webhook's event list
+api.post("/webhooks/:webhookId/test", (req, res) => {
+    const webhook = findOwnedWebhook(req, res, req.params.webhookId);
+    if (!webhook) return;
+    res.status(202).json({ success: true, delivery: webhooks.ping(req.ownerId, webhook.id) });
+});
+
+// { sessionId, groupIds | audience, message, prefix?, variables?, delay?, wait?, dryRun? }
+// Answers with the task ID right away; `wait: true` answers with the
+// per-group results once the task has finished instead
+api.post("/send-messages", async (req, res) => {
+    const { sessionId, groupIds, audience, message, prefix } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+    const wait = req.body.wait === true || req.body.wait === "true";
+    let variables;
+    try {
+        variables = templates.parseVariables(req.body.variables);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    const delayMs = req.body.delay === undefined ? policy.effectiveDelay(1000) : parseFloat(req.body.delay);
+
+    const sessionInfo = findOwnedSession(req, res, sessionId);
+    if (!sessionInfo) return;
+
+    if (!dryRun && getSessionStatus(sessionInfo) !== "connected") {
+        return res.status(400).json({ error: "Session not ready. Please wait for connection." });
+    }
+    if (!hasValue(audience) && (!Array.isArray(groupIds) || groupIds.length === 0)) {
+        return res.status(400).json({ error: "groupIds must be a non-empty array, or pass an audience" });
+    }
+    if (typeof message !== "string" || !message.trim()) {
+        return res.status(400).json({ error: "Message is required" });
+    }
+    const delayError = policy.validateDelay(delayMs);
+    if (delayError) {
+        return res.status(400).json({ error: delayError });
+    }
+
+    const resolved = await resolveTaskRecipients(sessionInfo, { sessionId, audience, targetType: "group", groupIds: parseIdList(groupIds), dryRun });
+    if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    // After the await, like /send-message
+    const busy = concurrencyError(sessionId, req.ownerId);
+    if (busy) {
+        return res.status(429).json({ error: busy });
+    }
+
+    const taskInfo = createTask({
+        sessionId,
+        ownerId: req.ownerId,
+        messages: [message.trim()],
+        recipients: resolved.recipients,
+        recipientNames: resolved.recipientNames,
+        target: resolved.finalTarget,
+        targetType: "group",
+        prefix,
+        variables,
+        delayMs,
+        audience: resolved.audience,
+        dryRun
+    });
+
+    auditRequest(req, "task.started", {
+        sessionId,
+        taskId: taskInfo.taskId,
+        target: taskInfo.target,
+        details: { targetType: "group", audience: taskInfo.audience, totalMessages: taskInfo.totalMessages, attachments: 0, delayMs, dryRun }
+    });
+    console.log(`🚀 API ${dryRun ? "dry run" : "task"} STARTED: ${taskInfo.taskId} (${resolved.recipients.length} groups)`);
+    const running = runTask(taskInfo, clientForTask(taskInfo, sessionInfo), [message.trim()]);
+
+    if (!wait) {
+        return res.json({ success: true, status: "started", ...taskStatusPayload(taskInfo) });
+    }
+
+    await running;
+    const results = taskInfo.results.map(result => ({
+        groupId: result.recipient,
+        name: result.name,
+        status: result.sent > 0 ? "success" : (result.failed > 0 ? "failed" : "skipped"),
+        error: result.error
+    }));
+
+    res.json({
+        success: true,
+        taskId: taskInfo.taskId,
+        dryRun,
+        total: results.length,
+        successful: results.filter(r => r.status === "success").length,
+        failed: results.filter(r => r.status === "failed").length,
+        skipped: results.filter(r => r.status === "skipped").length,
+        results
+    });
+});
+
+api.post("/preview", async (req, res) => {
+    const { sessionId, groupIds, audience, message, prefix } = req.body;
+
+    const sessionInfo = findOwnedSession(req, res, sessionId);
+    if (!sessionInfo) return;
+
+    if (typeof message !== "string" || !message.trim()) {
+        return res.status(400).json({ error: "Message is required" });
+    }
+
+    let variables;
+    try {
+        variables = templates.parseVariables(req.body.variables);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const resolved = await resolveTaskRecipients(sessionInfo, { sessionId, audience, targetType: "group", groupIds: parseIdList(groupIds) });
+    if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const targets = buildPreview(sessionId, [message.trim()], resolved, { variables, prefix, limit: 1 });
+    res.json({ success: true, total: targets.length, targets });
+});
+
+api.get("/tasks", (req, res) => {
+    const tasks = [...activeTasks.values()]
+        .filter(task => task.ownerId === req.ownerId)
+        .map(taskStatusPayload);
+
+    res.json({ tasks, total: tasks.length });
+});
+
+api.get("/task-history", taskHistoryQuery);
+
+api.get("/task-history/:taskId", (req, res) => taskReport(req, res, req.params.taskId));
+
+api.get("/tasks/:taskId", (req, res) => {
+    const taskInfo = findOwnedTask(req, res, req.params.taskId);
+    if (!taskInfo) return;
+
+    res.json({ ...taskStatusPayload(taskInfo), groups: groupProgress(taskInfo) });
+});
+
+api.get("/tasks/:taskId/messages", (req, res) => {
+    const taskInfo = findOwnedTask(req, res, req.params.taskId);
+    if (!taskInfo) return;
+
+    res.json(taskMessagesPayload(taskInfo, req.query));
+});
+
+api.get("/tasks/:taskId/logs", (req, res) => {
+    const taskInfo = findOwnedTask(req, res, req.params.taskId);
+    if (!taskInfo) return;
+
+    logsPayload(res, "task", taskInfo.taskId, req.query);
+});
+
+api.patch("/tasks/:taskId", (req, res) => {
+    const taskInfo = findOwnedTask(req, res, req.params.taskId);
+    if (!taskInfo) return;
+
+    const { delay: delayMs, prefix, removeTargets } = req.body;
+    const updated = updateTask(taskInfo, {
+        delayMs: delayMs === undefined ? undefined : parseFloat(delayMs),
+        prefix,
+        removeTargets: removeTargets === undefined ? undefined : parseIdList(removeTargets)
+    });
+    if (updated.error) return res.status(updated.status).json({ error: updated.error });
+
+    auditRequest(req, "task.updated", { sessionId: taskInfo.sessionId, taskId: taskInfo.taskId, details: updated.changes });
+    res.json({ success: true, ...taskStatusPayload(taskInfo) });
+});
+
+api.post("/tasks/:taskId/stop", (req, res) => {
+    const taskInfo = findOwnedTask(req, res, req.params.taskId);
+    if (!taskInfo) return;
+
+    if (taskInfo.isSending || taskInfo.interrupted) {
+        stopTask(taskInfo, "user");
+        auditRequest(req, "task.stopped", { sessionId: taskInfo.sessionId, taskId: taskInfo.taskId, details: { sentMessages: taskInfo.sentMessages } });
+        console.log(`🛑 Task STOPPED: ${taskInfo.taskId}`);
+    }
+
+    res.json({ success: true, ...taskStatusPayload(taskInfo) });
+});
+
+api.post("/tasks/:taskId/pause", (req, res) => {
+    const taskInfo = findOwnedTask(req, res, req.params.taskId);
+    if (!taskInfo) return;
+
+    if (!taskInfo.isSending) {
+        return res.status(400).json({ error: `Task ${taskInfo.taskId} is ${getTaskStatus(taskInfo)} and cannot be paused` });
+    }
+
+    if (!taskInfo.pausedAt) {
+        pauseTask(taskInfo);
+        auditRequest(req, "task.paused", { sessionId: taskInfo.sessionId, taskId: taskInfo.taskId, details: { cursor: taskInfo.cursor } });
+    }
+    res.json({ success: true, ...taskStatusPayload(taskInfo) });
+});
+
+api.post("/tasks/:taskId/resume", (req, res) => {
+    const taskInfo = findOwnedTask(req, res, req.params.taskId);
+    if (!taskInfo) return;
+
+    if (taskInfo.pausedAt) {
+        unpauseTask(taskInfo);
+        auditRequest(req, "task.resumed", { sessionId: taskInfo.sessionId, taskId: taskInfo.taskId, details: { cursor: taskInfo.cursor } });
+        return res.json({ success: true, ...taskStatusPayload(taskInfo) });
+    }
+
+    if (!taskInfo.interrupted) {
+        return res.status(400).json({ error: `Task ${taskInfo.taskId} is ${getTaskStatus(taskInfo)} and cannot be resumed` });
+    }
+
+    // Dry runs resume on a simulated socket, so the session may be offline
+    const sessionInfo = activeClients.get(taskInfo.sessionId);
+    if (!sessionInfo || (!taskInfo.dryRun && getSessionStatus(sessionInfo) !== "connected")) {
+        return res.status(400).json({ error: "Session not ready. Please wait for connection." });
+    }
+
+    const busy = concurrencyError(taskInfo.sessionId, taskInfo.ownerId);
+    if (busy) {
+        return res.status(429).json({ error: busy });
+    }
+
+    try {
+        resumeTask(taskInfo, sessionInfo);
+        auditRequest(req, "task.resumed", { sessionId: taskInfo.sessionId, taskId: taskInfo.taskId, details: { cursor: taskInfo.cursor } });
+        res.json({ success: true, ...taskStatusPayload(taskInfo) });
+    } catch (err) {
+        console.error(`❌ Could not resume ${taskInfo.taskId}:`, err);
+        res.status(500).json({ error: "Failed to resume task: " + err.message });
+    }
+});
+
+api.get("/events", streamEvents);
+
+api.get("/audit", auditQuery);
+
+// Sending limits and how much of them the caller and their sessions have used
+api.get("/policy", (req, res) => {
+    const sessions = {};
+    const sessionLimits = {};
+    activeClients.forEach((sessionInfo, sessionId) => {
+        if (sessionInfo.ownerId !== req.ownerId) return;
+        sessions[sessionId] = policy.usageFor("session", sessionId);
+        sessionLimits[sessionId] = policy.limitsFor("session", sessionId);
+    });
+    res.json({
+        success: true,
+        limits: { minDelayMs: policy.LIMITS.minDelayMs, owner: policy.limitsFor("owner", req.ownerId), sessions: sessionLimits },
+        usage: { owner: policy.usageFor("owner", req.ownerId), sessions }
+    });
+});
+
+api.get("/schedules", (req, res) => {
+    const list = schedules.listByOwner(req.ownerId).map(schedulePayload);
+    res.json({ success: true, schedules: list, total: list.length });
+});
+
+// { sessionId, groupIds | audience, message, runAt | cron, timezone?, prefix?, variables?, delay? }
+api.post("/schedules", async (req, res) => {
+    const { sessionId, groupIds, audience, message } = req.body;
+
+    const sessionInfo = findOwnedSession(req, res, sessionId);
+    if (!sessionInfo) return;
+
+    if (!hasValue(audience) && (!Array.isArray(groupIds) || groupIds.length === 0)) {
+        return res.status(400).json({ error: "groupIds must be a non-empty array, or pass an audience" });
+    }
+    if (typeof message !== "string" || !message.trim()) {
+        return res.status(400).json({ error: "Message is required" });
+    }
+
+    const created = await createSchedule({
+        sessionId,
+        ownerId: req.ownerId,
+        messages: [message.trim()],
+        fields: { ...req.body, targetType: "group", delayMs: req.body.delay }
+    });
+    if (created.error) {
+        return res.status(created.status).json({ error: created.error });
+    }
+
+    const schedule = schedules.save(created.schedule);
+    auditRequest(req, "schedule.created", { sessionId, target: schedule.target, details: { scheduleId: schedule.scheduleId, runAt: schedule.runAt, cron: schedule.cron } });
+    console.log(`⏰ API schedule CREATED: ${schedule.scheduleId} next run ${schedule.nextRunAt}`);
+    res.status(201).json({ success: true, schedule: schedulePayload(schedule) });
+});
+
+api.get("/schedules/:scheduleId", (req, res) => {
+    const schedule = findOwnedSchedule(req, res, req.params.scheduleId);
+    if (!schedule) return;
+    res.json({ success: true, schedule: schedulePayload(schedule) });
+});
+
+api.patch("/schedules/:scheduleId", async (req, res) => {
+    const schedule = findOwnedSchedule(req, res, req.params.scheduleId);
+    if (!schedule) return;
+
+    const { message, groupIds } = req.body;
+    if (message !== undefined && (typeof message !== "string" || !message.trim())) {
+        return res.status(400).json({ error: "Message must be a non-empty string" });
+    }
+    if (groupIds !== undefined && (!Array.isArray(groupIds) || groupIds.length === 0)) {
+        return res.status(400).json({ error: "groupIds must be a non-empty array" });
+    }
+
+    const fields = { ...req.body, targetType: groupIds || hasValue(req.body.audience) ? "group" : undefined, delayMs: req.body.delay };
+    const applied = await applyScheduleFields(schedule, fields);
+    if (applied.error) {
+        return res.status(applied.status).json({ error: applied.error });
+    }
+    if (message !== undefined) {
+        applied.schedule.messages = [message.trim()];
+        fs.rmSync(schedules.attachmentsDir(schedule.scheduleId), { recursive: true, force: true });
+    }
+
+    const changed = changedScheduleFields(schedule, applied.schedule);
+    const updated = schedules.save(applied.schedule);
+    auditRequest(req, "schedule.updated", { sessionId: updated.sessionId, target: updated.target, details: { scheduleId: updated.scheduleId, changed } });
+    res.json({ success: true, schedule: schedulePayload(updated) });
+});
+
+api.delete("/schedules/:scheduleId", (req, res) => {
+    const schedule = findOwnedSchedule(req, res, req.params.scheduleId);
+    if (!schedule) return;
+
+    schedules.remove(schedule.scheduleId);
+    auditRequest(req, "schedule.cancelled", { sessionId: schedule.sessionId, details: { scheduleId: schedule.scheduleId } });
+    res.json({ success: true, message: `Schedule ${schedule.scheduleId} cancelled` });
+});
+
+// Opt-outs: recorded from STOP replies, or added here (e.g. for a group)
+api.get("/opt-outs", (req, res) => {
+    const optOuts = consent.listOptOuts(req.ownerId);
+    res.json({ success: true, optOuts, total: optOuts.length });
+});
+
+api.post("/opt-outs", (req, res) => {
+    const jid = consent.toJid(req.body.jid || req.body.number);
+    if (!jid) {
+        return res.status(400).json({ error: "A number or jid is required" });
+    }
+    const optOut = consent.addOptOut(req.ownerId, jid, { reason: req.body.reason || null });
+    res.status(201).json({ success: true, optOut });
+});
+
+api.delete("/opt-outs/:jid", (req, res) => {
+    const jid = consent.toJid(req.params.jid);
+    if (!jid || !consent.removeOptOut(req.ownerId, jid)) {
+        return res.status(404).json({ error: "Not on the opt-out list" });
+    }
+    res.json({ success: true, message: `${jid} removed from the opt-out list` });
+});
+
+// Allowlist of individual contacts who agreed to be messaged
+api.get("/allowlist", (req, res) => {
+    const contacts = consent.listAllowed(req.ownerId);
+    res.json({ success: true, contacts, total: contacts.length });
+});
+
+// { number, name?, note? } or { contacts: [{ number, name?, note? }] }
+api.post("/allowlist", (req, res) => {
+    const entries = Array.isArray(req.body.contacts) ? req.body.contacts : [req.body];
+    const jids = entries.map(entry => consent.toJid(entry?.jid || entry?.number));
+
+    const invalid = entries.filter((entry, i) => !jids[i] || jids[i].endsWith("@g.us"));
+    if (entries.length === 0 || invalid.length > 0) {
+        return res.status(400).json({ error: "Each contact needs a phone number or user jid" });
+    }
+
+    const contacts = entries.map((entry, i) => consent.allow(req.ownerId, jids[i], { name: entry.name, note: entry.note }));
+    res.status(201).json({ success: true, contacts, total: contacts.length });
+});
+
+api.delete("/allowlist/:jid", (req, res) => {
+    const jid = consent.toJid(req.params.jid);
+    if (!jid || !consent.disallow(req.ownerId, jid)) {
+        return res.status(404).json({ error: "Not on the allowlist" });
+    }
+    res.json({ success: true, message: `${jid} removed from the allowlist` });
+});
+
+api.delete("/session/:id", (req, res) => {
+    const sessionInfo = findOwnedSession(req, res, req.params.id);
+    if (!sessionInfo) return;
 
-    let messages;
     try {
-        messages = fs.readFileSync(filePath, "utf-8").split("\n").map(m => m.trim()).filter(Boolean);
-        if (messages.length === 0) throw new Error("Message file empty");
+        destroySession(req.params.id);
+        auditRequest(req, "session.deleted", { sessionId: req.params.id, target: sessionInfo.number || null });
+        res.json({ success: true, message: `Session ${req.params.id} deleted successfully` });
     } catch (err) {
-        safeDeleteFile(filePath);
-        return res.status(400).json({ error: "Invalid message file" });
+        console.error(`❌ Error deleting session ${req.params.id}:`, err);
+        res.status(500).json({ error: "Failed to delete session" });
     }
+});
 
-    const taskInfo = {
-        taskId,
-        sessionId,
-        ownerId: ownerId || sessionInfo.ownerId,
-        isSending: true,
-        stopRequested: false,
-        totalMessages: messages.length,
-        sentMessages: 0,
-        target: finalTarget,
-        targetType,
-        prefix: prefix || "",
-        startTime: new Date(),
-        lastUpdate: new Date(),
-        groupId: groupId || null
-    };
-
-    activeTasks.set(taskId, taskInfo);
-    
-    // RETURN TASK ID CLEARLY - This is what you need to stop the task
-    res.json({ 
-        success: true,
-        taskId: taskId,
-        status: "started", 
-        totalMessages: messages.length,
-        message: 📨 Task STARTED! Use this ID to stop: ${taskId}
-    });
+// Session backups: the auth state and metadata encrypted with a passphrase
+// of the owner's choosing, so a paired number can move to a fresh instance
+// (e.g. after a redeploy wiped temp/) without pairing again
 
-    console.log(🚀 Task STARTED: ${taskId});
-    console.log(📝 Messages: ${messages.length});
-    console.log(🎯 Target: ${finalTarget});
-    console.log(📋 Target Type: ${targetType});
-    console.log(⏰ Delay: ${delaySec}s);
-    console.log(👤 Owner: ${taskInfo.ownerId});
-    console.log(🛑 STOP COMMAND: curl -X POST http://localhost:${PORT}/stop-task -d "taskId=${taskId}");
+// "15551234567:3@s.whatsapp.net" -> "15551234567"
+function credsNumber(creds) {
+    return creds?.me?.id ? creds.me.id.split("@")[0].split(":")[0] : null;
+}
 
-    // Task execution
-    (async () => {
-        try {
-            for (let index = 0; index < messages.length && !taskInfo.stopRequested; index++) {
-                try {
-                    let msg = messages[index];
-                    if (taskInfo.prefix) msg = ${taskInfo.prefix} ${msg};
-                    
-                    const recipient = taskInfo.targetType === "group"
-                        ? (taskInfo.target.includes('@g.us') ? taskInfo.target : taskInfo.target + '@g.us')
-                        : (taskInfo.target.includes('@s.whatsapp.net') ? taskInfo.target : taskInfo.target + '@s.whatsapp.net');
-
-                    await waClient.sendMessage(recipient, { text: msg });
-
-                    taskInfo.sentMessages++;
-                    taskInfo.lastUpdate = new Date();
-                    
-                    // Show progress every 10 messages
-                    if (taskInfo.sentMessages % 10 === 0 || taskInfo.sentMessages === taskInfo.totalMessages) {
-                        console.log([${taskId}] Progress: ${taskInfo.sentMessages}/${taskInfo.totalMessages} messages sent);
-                    }
-                    
-                } catch (sendErr) {
-                    console.error([${taskId}] Send error:, sendErr);
-                    taskInfo.error = sendErr?.message || String(sendErr);
-                    taskInfo.lastError = new Date();
-                    
-                    if (sendErr.message?.includes("closed") || sendErr.message?.includes("disconnected")) {
-                        taskInfo.stopRequested = true;
-                        taskInfo.error = "Session disconnected. Please reconnect.";
-                    }
-                }
+// { passphrase }; answers with the bundle as a download
+api.post("/sessions/:id/export", async (req, res) => {
+    const sessionId = req.params.id;
+    const sessionInfo = findOwnedSession(req, res, sessionId);
+    if (!sessionInfo) return;
+    if (sessionInfo.suspended) {
+        return res.status(423).json({ error: "This session is suspended by an administrator." });
+    }
 
-                const waitMs = parseFloat(delaySec) * 1000;
-                const chunks = Math.ceil(waitMs / 1000);
-                for (let t = 0; t < chunks && !taskInfo.stopRequested; t++) {
-                    await delay(1000);
-                }
-                
-                if (taskInfo.stopRequested) break;
-            }
-        } finally {
-            taskInfo.endTime = new Date();
-            taskInfo.isSending = false;
-            taskInfo.completed = !taskInfo.stopRequested;
-            safeDeleteFile(filePath);
-            
-            const status = taskInfo.stopRequested ? "STOPPED" : "COMPLETED";
-            console.log([${taskId}] ${status}: ${taskInfo.sentMessages}/${taskInfo.totalMessages} messages sent);
-            
-            // Keep task in memory for 10 minutes for status checking
-            setTimeout(() => {
-                if (activeTasks.has(taskId)) {
-                    activeTasks.delete(taskId);
-                    console.log([${taskId}] Removed from memory);
-                }
-            }, 600000);
+    let bundle;
+    let files;
+    try {
+        files = authState.readDir(sessionInfo.authPath);
+        if (!files["creds.json"] || !JSON.parse(files["creds.json"]).registered) {
+            return res.status(409).json({ error: "This session has not finished pairing; there is nothing to back up" });
         }
-    })();
+        bundle = await sessionBackup.create({
+            sessionId,
+            ownerId: sessionInfo.ownerId,
+            number: sessionInfo.number || credsNumber(JSON.parse(files["creds.json"])),
+            meta: { number: sessionInfo.number, deviceInfo: sessionInfo.deviceInfo || null, pairedAt: sessionInfo.pairedAt || null },
+            files
+        }, req.body.passphrase);
+    } catch (err) {
+        if (!err.status) console.error(`❌ Could not export ${sessionId}:`, err);
+        return res.status(err.status || 500).json({ error: err.status ? err.message : "Failed to export session" });
+    }
+
+    auditRequest(req, "session.exported", { sessionId, target: bundle.number, details: { files: Object.keys(files).length } });
+    console.log(`📦 Session exported: ${sessionId}`);
+    res.attachment(`${sessionId}-${bundle.createdAt.slice(0, 10)}.backup.json`);
+    res.json(bundle);
 });
 
-// --- TASK STATUS ---
-app.get("/task-status", (req, res) => {
-    const taskId = req.query.taskId;
-    const ownerId = req.query.ownerId;
-    
-    if (!taskId) return res.status(400).json({ error: "Task ID is required" });
-    
-    if (!activeTasks.has(taskId)) {
-        return res.status(404).json({ error: "Task not found. It may be completed or never existed." });
+// The backup as the `bundle` file (or a JSON `bundle` field) with
+// { passphrase, sessionId?, number? }. Restores it under its original session
+// ID unless `sessionId` is given, then reconnects it.
+api.post("/sessions/import", handleUpload(upload.single("bundle")), async (req, res) => {
+    let bundle = req.body.bundle;
+    try {
+        if (req.file) bundle = JSON.parse(fs.readFileSync(req.file.path, "utf-8"));
+        else if (typeof bundle === "string") bundle = JSON.parse(bundle);
+    } catch (err) {
+        return res.status(400).json({ error: "The backup is not valid JSON" });
+    } finally {
+        discardUploads(req);
     }
 
-    const taskInfo = activeTasks.get(taskId);
-    
-    // CHECK OWNERSHIP
-    if (ownerId && taskInfo.ownerId !== ownerId) {
-        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    let backup;
+    try {
+        backup = await sessionBackup.open(bundle, req.body.passphrase);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
     }
+    const { header, meta, files } = backup;
 
-    res.json({
-        taskId: taskInfo.taskId,
-        status: taskInfo.isSending ? "sending" : (taskInfo.stopRequested ? "stopped" : "completed"),
-        sentMessages: taskInfo.sentMessages,
-        totalMessages: taskInfo.totalMessages,
-        progress: Math.round((taskInfo.sentMessages / taskInfo.totalMessages) * 100),
-        startTime: taskInfo.startTime,
-        endTime: taskInfo.endTime,
-        error: taskInfo.error
+    if (header.ownerId !== req.ownerId) {
+        return res.status(403).json({ error: "Access denied. This backup belongs to another owner." });
+    }
+
+    let creds = null;
+    try { creds = JSON.parse(files["creds.json"]); } catch (e) { }
+    if (!creds?.registered) {
+        return res.status(400).json({ error: "The backup holds no paired credentials" });
+    }
+    const number = credsNumber(creds) || header.number;
+    if (header.number && number !== header.number) {
+        return res.status(400).json({ error: `The backup's credentials are for ${number}, not ${header.number}` });
+    }
+    const expected = hasValue(req.body.number) ? String(req.body.number).replace(/[^0-9]/g, "") : null;
+    if (expected && expected !== number) {
+        return res.status(400).json({ error: `This backup is for ${number}, not ${expected}` });
+    }
+
+    const sessionId = req.body.sessionId || header.sessionId;
+    if (!sessionId || !API_SESSION_ID.test(sessionId)) {
+        return res.status(400).json({ error: "Session ID may only contain letters, numbers, '-' and '_'" });
+    }
+
+    // Two sockets on the same credentials keep disconnecting each other
+    const live = [...activeClients.entries()].find(([id, info]) =>
+        info.ownerId === req.ownerId && info.number === number && ["open", "connecting"].includes(connections.stateOf(info)));
+    if (live) {
+        return res.status(409).json({ error: `${number} is already connected as session ${live[0]}. Disconnect or delete it first.` });
+    }
+
+    const existing = activeClients.get(sessionId);
+    // The directory is about to be replaced, so its on-disk owner counts too
+    if ((existing && existing.ownerId !== req.ownerId) || sessionDirTaken(sessionId, req.ownerId)) {
+        return res.status(409).json({ error: "Session ID is already in use. Please choose another." });
+    }
+    if (existing) {
+        if (existing.number && existing.number !== number) {
+            return res.status(409).json({ error: `Session ${sessionId} is paired with ${existing.number}. Import under another sessionId.` });
+        }
+        if (existing.suspended) {
+            return res.status(423).json({ error: "This session is suspended by an administrator." });
+        }
+        connections.disconnect(sessionId, existing);
+    }
+
+    const authPath = path.join("temp", sessionId);
+    try {
+        fs.rmSync(authPath, { recursive: true, force: true });
+        authState.writeDir(authPath, files);
+    } catch (err) {
+        console.error(`❌ Could not restore ${sessionId} from backup:`, err);
+        return res.status(500).json({ error: "Failed to write the session files: " + err.message });
+    }
+
+    const sessionInfo = {
+        client: null,
+        number,
+        authPath,
+        registered: true,
+        pairingCode: null,
+        ownerId: req.ownerId,
+        isConnecting: false,
+        deviceInfo: meta.deviceInfo || null,
+        pairedAt: meta.pairedAt ? new Date(meta.pairedAt) : null,
+        lastError: null
+    };
+    activeClients.set(sessionId, sessionInfo);
+    saveSessionMeta(sessionId, sessionInfo);
+    auditRequest(req, "session.imported", {
+        sessionId,
+        target: number,
+        details: { fromSessionId: header.sessionId, backupCreatedAt: header.createdAt, files: Object.keys(files).length }
     });
+    console.log(`📦 Session imported: ${sessionId} (${number})`);
+
+    await connections.connect(sessionId, sessionInfo);
+    await connections.waitFor(sessionId, sessionInfo, info => ["open", "backing_off", "logged_out", "failed"].includes(connections.stateOf(info)), 10000)
+        .catch(() => {});
+
+    res.status(201).json({ success: true, ...sessionStatusPayload(sessionId, sessionInfo) });
 });
 
-// --- USER TASKS ---
-app.get("/user-tasks", (req, res) => {
-    const ownerId = req.query.ownerId;
-    if (!ownerId) return res.status(400).json({ error: "Owner ID is required" });
+// --- ADMIN CONSOLE ---
+// Cross-owner view and controls under /api/admin, for accounts with the
+// admin role only. Every action is audited under the affected owner, with
+// the admin as actor, so owners see what was done to their sessions.
+const admin = express.Router();
 
-    const userTasks = [...activeTasks.entries()]
-        .filter(([_, task]) => task.ownerId === ownerId)
-        .map(([id, task]) => ({
-            taskId: id,
-            sessionId: task.sessionId,
-            isSending: task.isSending,
-            sentMessages: task.sentMessages,
-            totalMessages: task.totalMessages,
-            startTime: task.startTime,
-            target: task.target,
-            progress: Math.round((task.sentMessages / task.totalMessages) * 100)
-        }));
-    
-    res.json({ 
-        tasks: userTasks,
-        total: userTasks.length
+function requireAdmin(req, res, next) {
+    if (!accounts.isAdmin(req.account)) {
+        return res.status(403).json({ error: "Administrator access required." });
+    }
+    next();
+}
+
+function adminSessionPayload(sessionId, sessionInfo) {
+    const tasks = [...activeTasks.values()].filter(taskInfo => taskInfo.sessionId === sessionId);
+    return {
+        ...sessionHealthPayload(sessionId, sessionInfo),
+        ownerId: sessionInfo.ownerId,
+        totalGroups: groupCache.count(sessionInfo),
+        runningTasks: tasks.filter(taskInfo => taskInfo.isSending || taskInfo.interrupted).length,
+        usage: policy.usageFor("session", sessionId),
+        limits: policy.limitsFor("session", sessionId)
+    };
+}
+
+function findSessionForAdmin(res, sessionId) {
+    const sessionInfo = activeClients.get(sessionId);
+    if (!sessionInfo) res.status(404).json({ error: "Session not found" });
+    return sessionInfo || null;
+}
+
+// Stops the session's running, paused or interrupted tasks
+function stopSessionTasks(sessionId) {
+    const stopped = [];
+    activeTasks.forEach(taskInfo => {
+        if (taskInfo.sessionId !== sessionId || !(taskInfo.isSending || taskInfo.interrupted)) return;
+        stopTask(taskInfo, "admin");
+        stopped.push(taskInfo.taskId);
     });
+    return stopped;
+}
+
+// ?ownerId=&status= (coarse session status)
+admin.get("/sessions", (req, res) => {
+    const { ownerId, status } = req.query;
+    const sessions = [...activeClients.entries()]
+        .filter(([_, info]) => !ownerId || info.ownerId === ownerId)
+        .map(([id, info]) => adminSessionPayload(id, info))
+        .filter(session => !status || session.status === status);
+    res.json({ success: true, sessions, total: sessions.length });
 });
 
-// --- STOP TASK ---
-app.post("/stop-task", upload.none(), async (req, res) => {
-    const { taskId, ownerId } = req.body;
-    
-    if (!taskId) {
-        return res.status(400).json({ error: "Task ID is required. Example: taskId=TASK_123456789" });
+// Tasks still in memory (running, paused, interrupted or recently finished);
+// ?ownerId=&sessionId=&status=
+admin.get("/tasks", (req, res) => {
+    const { ownerId, sessionId, status } = req.query;
+    const tasks = [...activeTasks.values()]
+        .filter(taskInfo => (!ownerId || taskInfo.ownerId === ownerId) && (!sessionId || taskInfo.sessionId === sessionId))
+        .map(taskInfo => ({ ...taskStatusPayload(taskInfo), ownerId: taskInfo.ownerId, endedBy: taskInfo.endedBy || null }))
+        .filter(task => !status || task.status === status);
+    res.json({ success: true, tasks, total: tasks.length });
+});
+
+admin.post("/tasks/:taskId/stop", (req, res) => {
+    const taskInfo = activeTasks.get(req.params.taskId);
+    if (!taskInfo) {
+        return res.status(404).json({ error: "Task not found. It may be completed or never existed." });
     }
-    
-    if (!activeTasks.has(taskId)) {
-        return res.status(404).json({ error: Task ${taskId} not found. It may be already completed or never existed. });
+    if (!taskInfo.isSending && !taskInfo.interrupted) {
+        return res.status(400).json({ error: `Task ${taskInfo.taskId} is ${getTaskStatus(taskInfo)} and cannot be stopped` });
     }
 
-    const taskInfo = activeTasks.get(taskId);
-    
-    // CHECK OWNERSHIP
-    if (ownerId && taskInfo.ownerId !== ownerId) {
-        return res.status(403).json({ error: "Access denied. This task does not belong to you." });
+    stopTask(taskInfo, "admin");
+    auditRequest(req, "admin.task.stopped", { ownerId: taskInfo.ownerId, sessionId: taskInfo.sessionId, taskId: taskInfo.taskId, details: { reason: req.body.reason || null } });
+    console.log(`🛑 [${taskInfo.taskId}] Stopped by admin ${req.account.username}`);
+    res.json({ success: true, message: `Task ${taskInfo.taskId} stopped`, ...taskStatusPayload(taskInfo) });
+});
+
+// Drops the connection; the owner can reconnect with /api/init-session
+admin.post("/sessions/:id/disconnect", (req, res) => {
+    const sessionId = req.params.id;
+    const sessionInfo = findSessionForAdmin(res, sessionId);
+    if (!sessionInfo) return;
+
+    connections.disconnect(sessionId, sessionInfo);
+    auditRequest(req, "admin.session.disconnected", { ownerId: sessionInfo.ownerId, sessionId, details: { reason: req.body.reason || null } });
+    console.log(`🔌 ${sessionId} disconnected by admin ${req.account.username}`);
+    res.json({ success: true, session: adminSessionPayload(sessionId, sessionInfo) });
+});
+
+// Stops the session's tasks, disconnects it and keeps it from reconnecting
+// (also across restarts) until it is unsuspended. { reason? }
+admin.post("/sessions/:id/suspend", (req, res) => {
+    const sessionId = req.params.id;
+    const sessionInfo = findSessionForAdmin(res, sessionId);
+    if (!sessionInfo) return;
+
+    const reason = req.body.reason ? String(req.body.reason) : null;
+    const stoppedTasks = stopSessionTasks(sessionId);
+    sessionInfo.suspended = { at: new Date().toISOString(), by: req.account.username, reason };
+    sessionInfo.lastError = `Suspended by an administrator${reason ? `: ${reason}` : ""}`;
+    connections.disconnect(sessionId, sessionInfo);
+    saveSessionMeta(sessionId, sessionInfo);
+    publishSessionStatus(sessionId, sessionInfo);
+
+    auditRequest(req, "admin.session.suspended", { ownerId: sessionInfo.ownerId, sessionId, details: { reason, stoppedTasks } });
+    console.log(`⛔ ${sessionId} suspended by admin ${req.account.username}`);
+    res.json({ success: true, stoppedTasks, session: adminSessionPayload(sessionId, sessionInfo) });
+});
+
+// Lifts a suspension and reconnects the session if it is paired
+admin.post("/sessions/:id/unsuspend", async (req, res) => {
+    const sessionId = req.params.id;
+    const sessionInfo = findSessionForAdmin(res, sessionId);
+    if (!sessionInfo) return;
+    if (!sessionInfo.suspended) {
+        return res.status(400).json({ error: `Session ${sessionId} is not suspended` });
     }
-    
-    if (!taskInfo.isSending) {
-        return res.json({ 
-            success: true, 
-            message: Task ${taskId} is already ${taskInfo.stopRequested ? 'stopped' : 'completed'} 
-        });
+
+    sessionInfo.suspended = null;
+    sessionInfo.lastError = null;
+    saveSessionMeta(sessionId, sessionInfo);
+    auditRequest(req, "admin.session.unsuspended", { ownerId: sessionInfo.ownerId, sessionId });
+    console.log(`✅ ${sessionId} unsuspended by admin ${req.account.username}`);
+
+    if (await connections.isRegistered(sessionInfo.authPath)) connections.connect(sessionId, sessionInfo);
+    else publishSessionStatus(sessionId, sessionInfo);
+    res.json({ success: true, session: adminSessionPayload(sessionId, sessionInfo) });
+});
+
+// { hourly?, daily?, concurrentTasks? } for this session only; a number (0 =
+// unlimited) overrides the POLICY_SESSION_* default, null restores it
+admin.put("/sessions/:id/limits", (req, res) => {
+    const sessionId = req.params.id;
+    const sessionInfo = findSessionForAdmin(res, sessionId);
+    if (!sessionInfo) return;
+
+    try {
+        policy.setLimits("session", sessionId, req.body);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
     }
-    
-    taskInfo.stopRequested = true;
-    taskInfo.isSending = false;
-    taskInfo.endTime = new Date();
-    taskInfo.endedBy = "user";
+    auditRequest(req, "admin.session.limits_changed", { ownerId: sessionInfo.ownerId, sessionId, details: { limits: policy.overridesFor("session", sessionId) } });
+    res.json({ success: true, session: adminSessionPayload(sessionId, sessionInfo) });
+});
 
-    console.log(🛑 Task STOPPED: ${taskId});
-    console.log(📊 Final progress: ${taskInfo.sentMessages}/${taskInfo.totalMessages} messages sent);
+// Sessions, running tasks, sending quota use and finished-task totals per owner
+admin.get("/usage", (req, res) => {
+    const owners = new Map(accounts.listAccounts().map(account => [account.id, { ownerId: account.id, role: account.role }]));
+    activeClients.forEach(info => {
+        if (!owners.has(info.ownerId)) owners.set(info.ownerId, { ownerId: info.ownerId, role: null });
+    });
 
-    return res.json({ 
-        success: true, 
-        message: Task ${taskId} stopped successfully,
-        taskId: taskId,
-        sentMessages: taskInfo.sentMessages,
-        totalMessages: taskInfo.totalMessages,
-        progress: Math.round((taskInfo.sentMessages / taskInfo.totalMessages) * 100)
+    const usage = [...owners.values()].map(owner => {
+        const sessions = [...activeClients.values()].filter(info => info.ownerId === owner.ownerId);
+        const tasks = [...activeTasks.values()].filter(taskInfo => taskInfo.ownerId === owner.ownerId);
+        const history = taskHistory.query(owner.ownerId);
+        return {
+            ...owner,
+            sessions: sessions.length,
+            connectedSessions: sessions.filter(info => getSessionStatus(info) === "connected").length,
+            suspendedSessions: sessions.filter(info => info.suspended).length,
+            runningTasks: tasks.filter(taskInfo => taskInfo.isSending || taskInfo.interrupted).length,
+            quota: policy.usageFor("owner", owner.ownerId),
+            limits: policy.limitsFor("owner", owner.ownerId),
+            finishedTasks: history.length,
+            sentMessages: history.reduce((sum, record) => sum + (record.dryRun ? 0 : record.sentMessages), 0),
+            failedMessages: history.reduce((sum, record) => sum + (record.dryRun ? 0 : record.failedMessages), 0)
+        };
     });
+    res.json({ success: true, limits: policy.LIMITS, owners: usage, total: usage.length });
 });
 
-// --- DELETE SESSION ---
-app.post("/delete-session", upload.none(), async (req, res) => {
-    const { sessionId, ownerId } = req.body;
-    
-    if (!sessionId) return res.status(400).json({ error: "Session ID is required" });
-    if (!ownerId) return res.status(400).json({ error: "Owner ID is required" });
-    
-    if (!activeClients.has(sessionId)) {
-        return res.status(404).json({ error: "Session not found" });
+// Same as /sessions/:id/limits for everything an owner sends, overriding
+// the POLICY_OWNER_* defaults
+admin.put("/owners/:ownerId/limits", (req, res) => {
+    const { ownerId } = req.params;
+    try {
+        policy.setLimits("owner", ownerId, req.body);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
     }
+    auditRequest(req, "admin.owner.limits_changed", { ownerId, target: ownerId, details: { limits: policy.overridesFor("owner", ownerId) } });
+    res.json({ success: true, ownerId, limits: policy.limitsFor("owner", ownerId), overrides: policy.overridesFor("owner", ownerId) });
+});
 
-    const sessionInfo = activeClients.get(sessionId);
-    
-    // CHECK OWNERSHIP
-    if (sessionInfo.ownerId !== ownerId) {
-        return res.status(403).json({ error: "Access denied. This session does not belong to you." });
+admin.get("/accounts", (req, res) => {
+    const list = accounts.listAccounts();
+    res.json({ success: true, accounts: list, total: list.length });
+});
+
+// { username, password, role? } - also the way to claim an owner ID whose
+// sessions predate accounts, which self-registration refuses
+admin.post("/accounts", (req, res) => {
+    const { username, password, role = "owner" } = req.body;
+    const claimed = ownerIdHasData(username);
+
+    let account;
+    try {
+        account = accounts.createAccount(username, password, { role });
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+    auditRequest(req, "admin.account.created", { ownerId: account.id, target: account.id, details: { role: account.role, claimed } });
+    console.log(`👤 Account ${account.username} created by ${req.ownerId}${claimed ? " (claimed existing sessions)" : ""}`);
+    res.status(201).json({ success: true, account: accounts.publicAccount(account), claimed });
+});
+
+// { role: "owner" | "admin" }
+admin.put("/accounts/:accountId/role", (req, res) => {
+    const { accountId } = req.params;
+    if (accountId === req.ownerId && req.body.role !== "admin") {
+        return res.status(400).json({ error: "You cannot remove your own admin role" });
     }
 
+    let account;
     try {
-        if (sessionInfo.client) {
-            sessionInfo.client.end();
-            console.log(🔌 Disconnected client for session: ${sessionId});
-        }
-        
-        // Delete session files
-        if (sessionInfo.authPath && fs.existsSync(sessionInfo.authPath)) {
-            fs.rmSync(sessionInfo.authPath, { recursive: true, force: true });
-            console.log(🗑️ Deleted session files: ${sessionInfo.authPath});
-        }
-        
-        activeClients.delete(sessionId);
-        console.log(✅ Session deleted: ${sessionId});
-        
-        res.json({ 
-            success: true, 
-            message: Session ${sessionId} deleted successfully 
-        });
-        
+        account = accounts.setRole(accountId, req.body.role);
     } catch (err) {
-        console.error(❌ Error deleting session ${sessionId}:, err);
-        res.status(500).json({ error: "Failed to delete session" });
+        return res.status(err.status || 500).json({ error: err.message });
     }
+    auditRequest(req, "admin.account.role_changed", { ownerId: accountId, target: accountId, details: { role: account.role } });
+    res.json({ success: true, account });
 });
 
-// --- CLEANUP ENDPOINT ---
-app.post("/cleanup-session", upload.none(), async (req, res) => {
-    const { sessionId, ownerId } = req.body;
-    
-    if (sessionId === "all") {
-        // Only clean up sessions belonging to the specific owner
-        if (ownerId) {
-            let cleanedCount = 0;
-            activeClients.forEach((sessionInfo, id) => {
-                if (sessionInfo.ownerId === ownerId) {
-                    try {
-                        if (sessionInfo.client) sessionInfo.client.end();
-                        console.log(🧹 Session cleaned up: ${id});
-                        activeClients.delete(id);
-                        cleanedCount++;
-                    } catch (e) {
-                        console.error(Error cleaning up session ${id}:, e);
-                    }
-                }
-            });
-            return res.json({ success: true, message: Cleaned up ${cleanedCount} sessions for owner ${ownerId} });
-        } else {
-            // Clean all sessions (admin function)
-            activeClients.forEach((sessionInfo, id) => {
-                try {
-                    if (sessionInfo.client) sessionInfo.client.end();
-                    console.log(🧹 Session cleaned up: ${id});
-                } catch (e) {
-                    console.error(Error cleaning up session ${id}:, e);
-                }
-            });
-            activeClients.clear();
+// Audit events of every owner, or one with ?ownerId=; other filters as /api/audit
+admin.get("/audit", async (req, res) => {
+    const { ownerId, action, sessionId, taskId, from, to } = req.query;
+    for (const [name, value] of [["from", from], ["to", to]]) {
+        if (value && isNaN(new Date(value).getTime())) {
+            return res.status(400).json({ error: `Invalid ${name} date` });
         }
     }
-    
-    res.json({ success: true, message: "Sessions cleaned up" });
+
+    let events;
+    try {
+        events = await audit.query(ownerId || null, { action, sessionId, taskId, from, to });
+    } catch (err) {
+        console.error("❌ Could not read audit log:", err);
+        return res.status(500).json({ error: "Failed to read audit log" });
+    }
+
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    res.json({ events: events.slice(offset, offset + limit), total: events.length, offset, limit });
 });
 
-process.on('SIGINT', () => {
-    console.log('Shutting down gracefully...');
-    activeClients.forEach(({ client }, sessionId) => {
-        try { 
-            if (client) client.end(); 
-            console.log(Closed session: ${sessionId});
-        } catch (e) { 
-            console.error(Error closing session ${sessionId}:, e);
+api.use("/admin", requireAdmin, admin);
+
+app.use(["/api/v1", "/api"], api);
+
+// --- SHUTDOWN ---
+// SIGTERM (Render, Docker) and SIGINT (Ctrl+C) let each running task finish
+// the message it is sending, checkpoint every task and session, then close
+// the sockets. A second signal, or SHUTDOWN_TIMEOUT_MS passing, exits at once.
+function saveState() {
+    activeTasks.forEach(taskInfo => taskStore.checkpointTask(taskInfo));
+    activeClients.forEach((sessionInfo, sessionId) => saveSessionMeta(sessionId, sessionInfo));
+}
+
+async function shutdown(signal) {
+    if (shuttingDown) {
+        console.log(`⚠️ ${signal} received again, exiting now`);
+        saveState();
+        process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received, shutting down gracefully...`);
+
+    setTimeout(() => {
+        console.error(`⏰ Shutdown took longer than ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+        saveState();
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    clearInterval(scheduleTimer);
+    server.close();
+
+    // Running loops notice shuttingDown within a second, or once their
+    // current send returns
+    const running = () => [...activeTasks.values()].filter(taskInfo => taskInfo.isSending);
+    if (running().length > 0) console.log(`⏳ Waiting for ${running().length} running task(s) to reach a checkpoint`);
+    while (running().length > 0) await delay(200);
+
+    saveState();
+    activeClients.forEach((sessionInfo, sessionId) => {
+        try {
+            if (connections.disconnect(sessionId, sessionInfo)) console.log(`🔌 Closed session: ${sessionId}`);
+        } catch (e) {
+            console.error(`Error closing session ${sessionId}:`, e);
         }
     });
+    console.log("👋 Shutdown complete");
     process.exit(0);
-});
+}
 
-app.listen(PORT, () => {
-    console.log(🚀 Server running at http://localhost:${PORT});
-    console.log(📱 WhatsApp Bulk Sender Ready!);
-    console.log(🔐 User-specific sessions enabled);
-    console.log(📟 Device pairing feature activated);
-    console.log(👥 Group listing and selection feature added);
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+const archived = taskHistory.load();
+console.log(`🗂️ Loaded ${archived.length} finished task(s) from history`);
+restoreTasks();
+loadSessionDirs();
+startScheduler();
+const pendingDeliveries = webhooks.start();
+if (pendingDeliveries > 0) console.log(`🪝 Resuming ${pendingDeliveries} pending webhook deliveries`);
+
+const server = app.listen(PORT, () => {
+    console.log(`🚀 Server running at http://localhost:${PORT}`);
+    console.log(`📱 WhatsApp Bulk Sender Ready!`);
+    console.log(`🔐 User-specific sessions enabled`);
+    console.log(`📟 Device pairing feature activated`);
+    console.log(`👥 Group listing and selection feature added`);
+    if (transport.NAME === "simulator") console.log(`🧪 Simulator transport: nothing is sent to WhatsApp`);
+    if (!authState.isEnabled()) console.log(`⚠️ AUTH_STATE_KEY is not set: WhatsApp credentials are stored unencrypted`);
+
+    restoreSessions().catch(err => console.error("❌ Session restore failed:", err));
 });
@@ -0,0 +1,218 @@
+// lib/accounts.js - user accounts with scrypt password hashes and hashed API tokens
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ACCOUNTS_FILE = path.join("data", "accounts.json");
+const TOKEN_PREFIX = "wbs_";
+const LOGIN_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+const ROLES = ["owner", "admin"];
+// Usernames listed in ADMIN_USERS (comma-separated) are admins whatever
+// their stored role
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || "")
+    .split(",")
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean));
+// Lets one admin account be registered while there is none, even with
+// registration closed (see bootstrapsAdmin)
+const ADMIN_BOOTSTRAP_TOKEN = process.env.ADMIN_BOOTSTRAP_TOKEN || null;
+
+let accounts = null;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function load() {
+    if (accounts) return accounts;
+    accounts = fs.existsSync(ACCOUNTS_FILE)
+        ? JSON.parse(fs.readFileSync(ACCOUNTS_FILE, "utf-8"))
+        : [];
+    return accounts;
+}
+
+function save() {
+    const dir = path.dirname(ACCOUNTS_FILE);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${ACCOUNTS_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(accounts, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, ACCOUNTS_FILE);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+    return { salt, hash: crypto.scryptSync(password, salt, 64).toString("hex") };
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function roleOf(account) {
+    return ADMIN_USERS.has(account.username.toLowerCase()) ? "admin" : (account.role || "owner");
+}
+
+function isAdmin(account) {
+    return Boolean(account) && roleOf(account) === "admin";
+}
+
+function publicAccount(account) {
+    return { id: account.id, username: account.username, role: roleOf(account), createdAt: account.createdAt };
+}
+
+function findAccount(accountId) {
+    return load().find(account => account.id === accountId) || null;
+}
+
+function hasAdmin() {
+    return load().some(isAdmin);
+}
+
+// Whether registering `username` may create an admin while none exists: the
+// username is listed in ADMIN_USERS, or `token` is ADMIN_BOOTSTRAP_TOKEN.
+// Being first to register on an empty data directory is never enough.
+function bootstrapsAdmin(username, token) {
+    if (hasAdmin()) return false;
+    if (typeof username === "string" && ADMIN_USERS.has(username.trim().toLowerCase())) return true;
+    if (!ADMIN_BOOTSTRAP_TOKEN || typeof token !== "string") return false;
+    return crypto.timingSafeEqual(
+        Buffer.from(hashToken(token), "hex"),
+        Buffer.from(hashToken(ADMIN_BOOTSTRAP_TOKEN), "hex")
+    );
+}
+
+// The username doubles as the owner ID that sessions and tasks are scoped to.
+// Callers must not let anyone register an owner ID that already has data
+// (see the admin claim route); this only checks the username is free.
+function createAccount(username, password, { role = "owner" } = {}) {
+    if (!username || !USERNAME_PATTERN.test(username)) {
+        throw httpError(400, "Username must be 3-32 letters, numbers, '-' or '_'");
+    }
+    if (typeof password !== "string" || password.length < 8) {
+        throw httpError(400, "Password must be at least 8 characters");
+    }
+    if (!ROLES.includes(role)) throw httpError(400, `role must be one of: ${ROLES.join(", ")}`);
+    if (load().some(account => account.username.toLowerCase() === username.toLowerCase())) {
+        throw httpError(409, "Username is already taken");
+    }
+
+    const { salt, hash } = hashPassword(password);
+    const account = {
+        id: username,
+        username,
+        passwordSalt: salt,
+        passwordHash: hash,
+        role,
+        tokens: [],
+        createdAt: new Date().toISOString()
+    };
+    accounts.push(account);
+    save();
+    return account;
+}
+
+function verifyPassword(username, password) {
+    const account = load().find(a => a.username.toLowerCase() === String(username || "").toLowerCase());
+    // Hash anyway so unknown usernames take as long as wrong passwords
+    const { hash } = hashPassword(String(password || ""), account ? account.passwordSalt : "0".repeat(32));
+    if (!account) return null;
+
+    const matches = crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(account.passwordHash, "hex"));
+    return matches ? account : null;
+}
+
+// Returns the plaintext token once; only its hash is stored
+function issueToken(accountId, { label, type = "api" } = {}) {
+    const account = findAccount(accountId);
+    if (!account) throw httpError(404, "Account not found");
+
+    account.tokens = account.tokens.filter(t => !t.expiresAt || new Date(t.expiresAt) > new Date());
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("hex");
+    const entry = {
+        id: crypto.randomBytes(6).toString("hex"),
+        label: label || (type === "login" ? "Web login" : "API token"),
+        type,
+        hash: hashToken(token),
+        createdAt: new Date().toISOString(),
+        expiresAt: type === "login" ? new Date(Date.now() + LOGIN_TOKEN_TTL_MS).toISOString() : null,
+        lastUsedAt: null
+    };
+    account.tokens.push(entry);
+    save();
+    return { token, tokenInfo: publicToken(entry) };
+}
+
+function publicToken(entry) {
+    const { hash, ...rest } = entry;
+    return rest;
+}
+
+function authenticateToken(token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+    const hash = hashToken(token);
+    for (const account of load()) {
+        const entry = account.tokens.find(t => t.hash === hash);
+        if (!entry) continue;
+        if (entry.expiresAt && new Date(entry.expiresAt) < new Date()) return null;
+
+        // Only persist lastUsedAt once a minute to avoid a write per request
+        const lastUsed = entry.lastUsedAt ? new Date(entry.lastUsedAt).getTime() : 0;
+        if (Date.now() - lastUsed > 60000) {
+            entry.lastUsedAt = new Date().toISOString();
+            save();
+        }
+        return { account, tokenId: entry.id };
+    }
+    return null;
+}
+
+function listTokens(accountId) {
+    const account = findAccount(accountId);
+    return account ? account.tokens.map(publicToken) : [];
+}
+
+function revokeToken(accountId, tokenId) {
+    const account = findAccount(accountId);
+    if (!account) return false;
+
+    const before = account.tokens.length;
+    account.tokens = account.tokens.filter(t => t.id !== tokenId);
+    if (account.tokens.length === before) return false;
+    save();
+    return true;
+}
+
+function listAccounts() {
+    return load().map(publicAccount);
+}
+
+// Accounts named in ADMIN_USERS stay admins whatever is stored here
+function setRole(accountId, role) {
+    if (!ROLES.includes(role)) throw httpError(400, `role must be one of: ${ROLES.join(", ")}`);
+    const account = findAccount(accountId);
+    if (!account) throw httpError(404, "Account not found");
+
+    account.role = role;
+    save();
+    return publicAccount(account);
+}
+
+module.exports = {
+    ROLES,
+    bootstrapsAdmin,
+    createAccount,
+    verifyPassword,
+    issueToken,
+    authenticateToken,
+    listTokens,
+    revokeToken,
+    findAccount,
+    publicAccount,
+    isAdmin,
+    listAccounts,
+    setRole
+};
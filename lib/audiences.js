@@ -0,0 +1,231 @@
+// lib/audiences.js - named, reusable group target lists per session, the
+// owner's tags on groups, and the filters used to search a group list
+const fs = require("fs");
+const path = require("path");
+
+const AUDIENCES_FILE = path.join("data", "audiences.json");
+const MAX_NAME_LENGTH = 80;
+
+// ownerId -> { audiences: { audienceId: audience }, tags: { sessionId: { groupJid: [tag] } } }
+let owners = null;
+
+function load() {
+    if (owners) return owners;
+    owners = fs.existsSync(AUDIENCES_FILE)
+        ? JSON.parse(fs.readFileSync(AUDIENCES_FILE, "utf-8"))
+        : {};
+    return owners;
+}
+
+function save() {
+    const dir = path.dirname(AUDIENCES_FILE);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${AUDIENCES_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(owners, null, 2));
+    fs.renameSync(tmp, AUDIENCES_FILE);
+}
+
+function ownerData(ownerId) {
+    const all = load();
+    if (!all[ownerId]) all[ownerId] = { audiences: {}, tags: {} };
+    return all[ownerId];
+}
+
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// "Sales *" style patterns: * matches anything, case is ignored
+function patternToRegex(pattern) {
+    const escaped = String(pattern).trim().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    return new RegExp(`^${escaped}$`, "i");
+}
+
+function parseBoolean(value) {
+    if (value === undefined || value === null || value === "") return undefined;
+    return value === true || value === "true" || value === "1";
+}
+
+function parseCount(value) {
+    const count = parseInt(value, 10);
+    return Number.isFinite(count) ? count : undefined;
+}
+
+// --- Group tags ---
+
+function setGroupTags(ownerId, sessionId, groupId, tags) {
+    const data = ownerData(ownerId);
+    if (!data.tags[sessionId]) data.tags[sessionId] = {};
+
+    const normalized = normalizeTags(tags);
+    if (normalized.length > 0) data.tags[sessionId][groupId] = normalized;
+    else delete data.tags[sessionId][groupId];
+    save();
+    return normalized;
+}
+
+// Adds the owner's `tags` to each group from the group cache
+function withTags(ownerId, sessionId, groups) {
+    const tags = load()[ownerId]?.tags[sessionId] || {};
+    return groups.map(group => ({ ...group, tags: tags[group.id] || [] }));
+}
+
+// --- Filters ---
+
+// Reads search/filter/sort options from a query string or JSON body
+function parseFilters(query = {}) {
+    return {
+        search: query.search ? String(query.search).trim().toLowerCase() : undefined,
+        namePattern: query.namePattern ? String(query.namePattern) : undefined,
+        minParticipants: parseCount(query.minParticipants),
+        maxParticipants: parseCount(query.maxParticipants),
+        announcement: parseBoolean(query.announcement),
+        locked: parseBoolean(query.locked),
+        admin: parseBoolean(query.admin),
+        tag: query.tag ? normalizeTags(query.tag)[0] : undefined,
+        sort: ["name", "participants", "creation"].includes(query.sort) ? query.sort : "name",
+        order: query.order === "desc" ? "desc" : "asc"
+    };
+}
+
+// `groups` need their `tags` (see withTags) for the tag filter
+function filterGroups(groups, filters) {
+    const pattern = filters.namePattern ? patternToRegex(filters.namePattern) : null;
+    const matching = groups.filter(group =>
+        (!filters.search || group.name.toLowerCase().includes(filters.search)) &&
+        (!pattern || pattern.test(group.name)) &&
+        (filters.minParticipants === undefined || group.participants >= filters.minParticipants) &&
+        (filters.maxParticipants === undefined || group.participants <= filters.maxParticipants) &&
+        (filters.announcement === undefined || group.isAnnouncement === filters.announcement) &&
+        (filters.locked === undefined || group.isLocked === filters.locked) &&
+        (filters.admin === undefined || group.isAdmin === filters.admin) &&
+        (!filters.tag || (group.tags || []).includes(filters.tag))
+    );
+
+    const direction = filters.order === "desc" ? -1 : 1;
+    const compare = {
+        name: (a, b) => a.name.localeCompare(b.name),
+        participants: (a, b) => a.participants - b.participants,
+        creation: (a, b) => String(a.creation || "").localeCompare(String(b.creation || ""))
+    }[filters.sort || "name"];
+    return matching.sort((a, b) => direction * compare(a, b));
+}
+
+// --- Audiences ---
+
+// Validates audience fields; throws with a user-facing message
+function applyFields(audience, { name, groupIds, namePattern, tags }) {
+    if (name !== undefined) {
+        const trimmed = String(name || "").trim();
+        if (!trimmed) throw new Error("Audience name is required");
+        if (trimmed.length > MAX_NAME_LENGTH) throw new Error(`Audience name must be at most ${MAX_NAME_LENGTH} characters`);
+        audience.name = trimmed;
+    }
+    if (groupIds !== undefined) {
+        if (!Array.isArray(groupIds)) throw new Error("groupIds must be an array");
+        audience.groupIds = [...new Set(groupIds.map(id => {
+            const text = String(id).trim();
+            return text.includes("@") ? text : `${text}@g.us`;
+        }).filter(id => id !== "@g.us"))];
+    }
+    if (namePattern !== undefined) {
+        audience.namePattern = namePattern ? String(namePattern).trim() : null;
+    }
+    if (tags !== undefined) {
+        audience.tags = normalizeTags(tags);
+    }
+    if (audience.groupIds.length === 0 && !audience.namePattern && audience.tags.length === 0) {
+        throw new Error("An audience needs groupIds, a namePattern or tags");
+    }
+    return audience;
+}
+
+function assertUniqueName(ownerId, sessionId, name, exceptId = null) {
+    const clash = findByName(ownerId, sessionId, name);
+    if (clash && clash.audienceId !== exceptId) {
+        throw new Error(`An audience named "${clash.name}" already exists for this session`);
+    }
+}
+
+function list(ownerId, sessionId = null) {
+    return Object.values(load()[ownerId]?.audiences || {})
+        .filter(audience => !sessionId || audience.sessionId === sessionId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function get(ownerId, audienceId) {
+    return load()[ownerId]?.audiences[audienceId] || null;
+}
+
+function findByName(ownerId, sessionId, name) {
+    const wanted = String(name || "").trim().toLowerCase();
+    return list(ownerId, sessionId).find(audience => audience.name.toLowerCase() === wanted) || null;
+}
+
+function create(ownerId, sessionId, fields) {
+    const audience = applyFields({
+        audienceId: `AUDIENCE_${Date.now()}`,
+        sessionId,
+        name: null,
+        groupIds: [],
+        namePattern: null,
+        tags: [],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    }, { groupIds: [], ...fields, name: fields.name ?? "" });
+    assertUniqueName(ownerId, sessionId, audience.name);
+
+    ownerData(ownerId).audiences[audience.audienceId] = audience;
+    save();
+    return audience;
+}
+
+function update(ownerId, audienceId, fields) {
+    const current = get(ownerId, audienceId);
+    const next = applyFields({ ...current }, fields);
+    assertUniqueName(ownerId, current.sessionId, next.name, audienceId);
+
+    next.updatedAt = new Date().toISOString();
+    ownerData(ownerId).audiences[audienceId] = next;
+    save();
+    return next;
+}
+
+function remove(ownerId, audienceId) {
+    const data = load()[ownerId];
+    if (!data?.audiences[audienceId]) return false;
+    delete data.audiences[audienceId];
+    save();
+    return true;
+}
+
+// The session's groups (with tags) that belong to the audience: listed
+// groupIds first, in their order, then pattern and tag matches by name.
+// Listed groups the session is no longer in come back as `missing`.
+function resolve(audience, groups) {
+    const byId = new Map(groups.map(group => [group.id, group]));
+    const members = audience.groupIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    const missing = audience.groupIds.filter(id => !byId.has(id));
+
+    const pattern = audience.namePattern ? patternToRegex(audience.namePattern) : null;
+    const matched = groups.filter(group =>
+        !audience.groupIds.includes(group.id) &&
+        ((pattern && pattern.test(group.name)) || (group.tags || []).some(tag => audience.tags.includes(tag)))
+    );
+    return { groups: [...members, ...matched.sort((a, b) => a.name.localeCompare(b.name))], missing };
+}
+
+module.exports = {
+    setGroupTags,
+    withTags,
+    parseFilters,
+    filterGroups,
+    list,
+    get,
+    findByName,
+    create,
+    update,
+    remove,
+    resolve
+};
@@ -0,0 +1,89 @@
+// lib/audit.js - append-only JSONL audit trail of who did what to which session or task
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const AUDIT_FILE = path.join("data", "audit.log");
+const CSV_COLUMNS = ["id", "at", "action", "actor", "tokenId", "ip", "sessionId", "taskId", "target", "details"];
+
+// Never throws: a failed audit write must not break the action being audited
+function record({ ownerId, actor, tokenId = null, ip = null, action, sessionId = null, taskId = null, target = null, details = {} }) {
+    const event = {
+        id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+        at: new Date().toISOString(),
+        ownerId,
+        actor: actor || "system",
+        tokenId,
+        ip,
+        action,
+        sessionId,
+        taskId,
+        target,
+        details
+    };
+
+    try {
+        const dir = path.dirname(AUDIT_FILE);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(event) + "\n", { mode: 0o600 });
+    } catch (err) {
+        console.error(`⚠️ Could not write audit event ${action}:`, err.message);
+    }
+    return event;
+}
+
+// "task.*" matches every task action; otherwise a comma-separated list of exact actions
+function actionMatcher(filter) {
+    if (!filter) return () => true;
+    const patterns = String(filter).split(",").map(p => p.trim()).filter(Boolean);
+    return action => patterns.some(p => (p.endsWith(".*") ? action.startsWith(p.slice(0, -1)) : action === p));
+}
+
+// Owner's events matching the filters, newest first; a null ownerId matches
+// every owner (admin console)
+async function query(ownerId, { action, sessionId, taskId, from, to } = {}) {
+    if (!fs.existsSync(AUDIT_FILE)) return [];
+
+    const matchesAction = actionMatcher(action);
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const events = [];
+
+    const lines = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE, "utf-8"), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        let event;
+        // A crash can leave a partial last line behind
+        try { event = JSON.parse(line); } catch (e) { continue; }
+
+        if ((ownerId !== null && event.ownerId !== ownerId) || !matchesAction(event.action)) continue;
+        if (sessionId && event.sessionId !== sessionId) continue;
+        if (taskId && event.taskId !== taskId) continue;
+
+        const at = new Date(event.at).getTime();
+        if (fromTime && at < fromTime) continue;
+        if (toTime && at > toTime) continue;
+        events.push(event);
+    }
+    return events.reverse();
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(events) {
+    const rows = events.map(event => CSV_COLUMNS.map(column => csvCell(event[column])).join(","));
+    return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+module.exports = {
+    record,
+    query,
+    toCsv
+};
@@ -0,0 +1,219 @@
+// lib/auth-state.js - Baileys multi-file auth state (creds and Signal keys)
+// encrypted at rest with AES-256-GCM under a master key from AUTH_STATE_KEY.
+// Without a key the files stay plaintext JSON, as Baileys writes them.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { initAuthCreds, BufferJSON, proto } = require("@whiskeysockets/baileys");
+
+const FORMAT = "wbs-auth-v1";
+// Sidecar files kept next to the auth state that are not credentials
+const SKIPPED_FILES = new Set(["meta.json"]);
+const AUTH_FILE_NAME = /^[A-Za-z0-9._-]+\.json$/;
+
+// Any passphrase works; it is stretched to a 256-bit key
+function deriveKey(secret) {
+    const key = crypto.scryptSync(String(secret), "whatsapp-bulk-sender/auth-state", 32);
+    return { key, id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 12) };
+}
+
+// AUTH_STATE_KEY encrypts; AUTH_STATE_OLD_KEYS (comma-separated) are only
+// tried for reading, so files written under a previous key stay usable
+// until they are rewritten or rotated
+function keyring({ current = process.env.AUTH_STATE_KEY, old = process.env.AUTH_STATE_OLD_KEYS } = {}) {
+    const readers = [current, ...String(old || "").split(",")]
+        .map(secret => (secret || "").trim())
+        .filter(Boolean)
+        .map(deriveKey);
+    return { writer: current ? readers[0] : null, readers };
+}
+
+let defaultKeys = null;
+function keys() {
+    if (!defaultKeys) defaultKeys = keyring();
+    return defaultKeys;
+}
+
+function isEnabled() {
+    return Boolean(keys().writer);
+}
+
+function isEnvelope(value) {
+    return Boolean(value) && value.format === FORMAT;
+}
+
+function encrypt(text, { key, id }) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(text, "utf-8"), cipher.final()]);
+    return JSON.stringify({
+        format: FORMAT,
+        keyId: id,
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        data: data.toString("base64")
+    });
+}
+
+function decrypt(envelope, ring, file) {
+    const entry = ring.readers.find(candidate => candidate.id === envelope.keyId);
+    if (!entry) {
+        throw new Error(`${file} is encrypted with key ${envelope.keyId}, which is not AUTH_STATE_KEY or one of AUTH_STATE_OLD_KEYS`);
+    }
+    const decipher = crypto.createDecipheriv("aes-256-gcm", entry.key, Buffer.from(envelope.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]).toString("utf-8");
+}
+
+// The JSON text of a file, decrypted if needed, and whether it was encrypted
+// under the current writer key. Missing files give null; undecryptable
+// ones throw, so a wrong key never looks like "not paired yet".
+function readText(file, ring = keys()) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, "utf-8");
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+
+    let parsed = null;
+    try { parsed = JSON.parse(raw); } catch (e) { }
+    if (!isEnvelope(parsed)) return { text: raw, current: !ring.writer };
+    return { text: decrypt(parsed, ring, path.basename(file)), current: parsed.keyId === ring.writer?.id };
+}
+
+// Atomic so a crash mid-write cannot leave half a credential file behind
+function writeText(file, text, ring = keys()) {
+    const tmp = `${file}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    fs.writeFileSync(tmp, ring.writer ? encrypt(text, ring.writer) : text, { mode: 0o600 });
+    fs.renameSync(tmp, file);
+}
+
+// Same file names as Baileys' useMultiFileAuthState
+function fixFileName(file) {
+    return file.replace(/\//g, "__").replace(/:/g, "-");
+}
+
+// Writes to one file are serialized; Baileys saves keys concurrently
+const fileLocks = new Map();
+function withFileLock(file, fn) {
+    const previous = fileLocks.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    fileLocks.set(file, next);
+    next.finally(() => {
+        if (fileLocks.get(file) === next) fileLocks.delete(file);
+    }).catch(() => {});
+    return next;
+}
+
+// Drop-in replacement for Baileys' useMultiFileAuthState. Files written in
+// plaintext (or under an old key) are re-encrypted as they are read.
+async function useAuthState(folder) {
+    if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+
+    const readData = name => {
+        const file = path.join(folder, fixFileName(name));
+        return withFileLock(file, () => {
+            const result = readText(file);
+            if (!result) return null;
+            if (!result.current) writeText(file, result.text);
+            return JSON.parse(result.text, BufferJSON.reviver);
+        });
+    };
+    const writeData = (data, name) => {
+        const file = path.join(folder, fixFileName(name));
+        return withFileLock(file, () => writeText(file, JSON.stringify(data, BufferJSON.replacer)));
+    };
+    const removeData = name => {
+        const file = path.join(folder, fixFileName(name));
+        return withFileLock(file, () => fs.promises.unlink(file).catch(() => {}));
+    };
+
+    const creds = await readData("creds.json") || initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const data = {};
+                    await Promise.all(ids.map(async id => {
+                        let value = await readData(`${type}-${id}.json`);
+                        if (type === "app-state-sync-key" && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }));
+                    return data;
+                },
+                set: async data => {
+                    const writes = [];
+                    for (const category in data) {
+                        for (const id in data[category]) {
+                            const value = data[category][id];
+                            const name = `${category}-${id}.json`;
+                            writes.push(value ? writeData(value, name) : removeData(name));
+                        }
+                    }
+                    await Promise.all(writes);
+                }
+            }
+        },
+        saveCreds: () => writeData(creds, "creds.json")
+    };
+}
+
+// Whether the directory holds credentials that finished pairing
+async function isRegistered(folder) {
+    const result = readText(path.join(folder, "creds.json"));
+    return Boolean(result && JSON.parse(result.text, BufferJSON.reviver).registered);
+}
+
+// Rewrites every auth file in `folder` that is plaintext or under another
+// key than `ring`'s writer key. Returns the number of files rewritten.
+function reencryptDir(folder, ring = keys()) {
+    let rewritten = 0;
+    for (const name of fs.readdirSync(folder)) {
+        if (!name.endsWith(".json") || SKIPPED_FILES.has(name)) continue;
+        const file = path.join(folder, name);
+        const result = readText(file, ring);
+        if (!result || result.current) continue;
+        writeText(file, result.text, ring);
+        rewritten++;
+    }
+    return rewritten;
+}
+
+// Every auth file in `folder` as decrypted JSON text, by file name
+function readDir(folder) {
+    const files = {};
+    for (const name of fs.readdirSync(folder)) {
+        if (!AUTH_FILE_NAME.test(name) || SKIPPED_FILES.has(name)) continue;
+        const result = readText(path.join(folder, name));
+        if (result) files[name] = result.text;
+    }
+    return files;
+}
+
+// Writes auth files (JSON text by file name, as from readDir) into `folder`
+// under the current key. Names are checked so a file cannot land elsewhere.
+function writeDir(folder, files) {
+    for (const [name, text] of Object.entries(files)) {
+        if (!AUTH_FILE_NAME.test(name) || SKIPPED_FILES.has(name) || typeof text !== "string") {
+            throw new Error(`Invalid auth file ${name}`);
+        }
+    }
+    if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+    for (const [name, text] of Object.entries(files)) writeText(path.join(folder, name), text);
+}
+
+module.exports = {
+    keyring,
+    isEnabled,
+    useAuthState,
+    isRegistered,
+    reencryptDir,
+    readDir,
+    writeDir
+};
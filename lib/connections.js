@@ -0,0 +1,345 @@
+// lib/connections.js - owns every Baileys socket: creation, the connection
+// state machine and exponential reconnect backoff
+const { EventEmitter } = require("events");
+const pino = require("pino");
+const {
+    makeCacheableSignalKeyStore,
+    Browsers,
+    isJidBroadcast,
+    DisconnectReason
+} = require("@whiskeysockets/baileys");
+const authState = require("./auth-state");
+const logs = require("./logs");
+const transport = require("./transport");
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// A maxAttempts of 0 retries forever
+const BACKOFF = {
+    baseMs: envNumber("RECONNECT_BASE_MS", 2000),
+    maxMs: envNumber("RECONNECT_MAX_MS", 5 * 60 * 1000),
+    maxAttempts: envNumber("RECONNECT_MAX_ATTEMPTS", 10)
+};
+const CONNECT_TIMEOUT_MS = envNumber("CONNECT_TIMEOUT_MS", 60000);
+
+// idle:        no socket (never started, or disconnected on purpose)
+// pairing:     socket up, waiting for the phone to scan the QR / enter the code
+// connecting:  socket up with paired credentials
+// open:        connected and usable
+// backing_off: closed unexpectedly, waiting to reconnect
+// logged_out:  the phone removed the device; needs pairing again
+// failed:      gave up after BACKOFF.maxAttempts reconnects
+const TRANSITIONS = {
+    idle: ["pairing", "connecting", "backing_off", "failed"],
+    pairing: ["pairing", "connecting", "open", "backing_off", "logged_out", "failed", "idle"],
+    connecting: ["connecting", "open", "backing_off", "logged_out", "failed", "idle"],
+    open: ["connecting", "backing_off", "logged_out", "idle"],
+    backing_off: ["pairing", "connecting", "backing_off", "failed", "idle"],
+    logged_out: ["pairing", "connecting", "idle"],
+    failed: ["pairing", "connecting", "idle"]
+};
+const STATES = Object.keys(TRANSITIONS);
+const CONNECTING_STATES = ["pairing", "connecting", "backing_off"];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const retryTimers = new Map();
+const pending = new Map();
+
+let hooks = {
+    // (sessionId, sessionInfo, waClient) for every new socket, before it connects
+    onSocket() {},
+    // (sessionId, sessionInfo, waClient) once connected; awaited before the state becomes "open"
+    async onOpen() {},
+    // (sessionId, sessionInfo) after every state change or new QR code
+    onStateChange() {},
+    // (sessionId, sessionInfo) when WhatsApp closes an unscanned QR / unused pairing code
+    onPairingTimeout() {}
+};
+
+function configure(handlers) {
+    hooks = { ...hooks, ...handlers };
+}
+
+function connectionOf(sessionInfo) {
+    if (!sessionInfo.connection) {
+        sessionInfo.connection = {
+            state: "idle",
+            since: new Date().toISOString(),
+            attempts: 0,
+            nextRetryAt: null,
+            lastConnectedAt: null,
+            lastDisconnect: null
+        };
+    }
+    return sessionInfo.connection;
+}
+
+function stateOf(sessionInfo) {
+    return connectionOf(sessionInfo).state;
+}
+
+function transition(sessionId, sessionInfo, state, fields = {}) {
+    const connection = connectionOf(sessionInfo);
+    if (!TRANSITIONS[connection.state].includes(state)) {
+        logs.forSession(sessionId).warn({ from: connection.state, to: state }, "Unexpected connection state change");
+    }
+
+    Object.assign(connection, fields);
+    if (connection.state !== state) {
+        connection.state = state;
+        connection.since = new Date().toISOString();
+    }
+    sessionInfo.isConnecting = CONNECTING_STATES.includes(state);
+
+    hooks.onStateChange(sessionId, sessionInfo);
+    bus.emit("change", sessionId, sessionInfo);
+}
+
+// Full jitter keeps sessions that dropped together from reconnecting together
+function backoffDelay(attempt) {
+    const ceiling = Math.min(BACKOFF.maxMs, BACKOFF.baseMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function clearRetry(sessionId) {
+    clearTimeout(retryTimers.get(sessionId));
+    retryTimers.delete(sessionId);
+}
+
+async function isRegistered(authPath) {
+    return authState.isRegistered(authPath);
+}
+
+function logUpdate(sessionId, { connection, lastDisconnect, qr }) {
+    const log = logs.forSession(sessionId);
+    if (connection === "close") {
+        log.warn({ statusCode: lastDisconnect?.error?.output?.statusCode, err: lastDisconnect?.error }, "Connection closed");
+    } else if (connection) {
+        log.info(`Connection ${connection}`);
+    } else if (qr) {
+        log.info("QR code received");
+    }
+}
+
+// Starts a socket for the session, replacing any previous one. Resolves with
+// the new socket (or null when it could not be created, in which case a retry
+// is scheduled); concurrent calls share one attempt.
+function connect(sessionId, sessionInfo) {
+    // Suspended sessions stay idle until an admin lifts the suspension
+    if (sessionInfo.suspended) return Promise.resolve(null);
+    if (pending.has(sessionId)) return pending.get(sessionId);
+
+    const attempt = openSocket(sessionId, sessionInfo).finally(() => pending.delete(sessionId));
+    pending.set(sessionId, attempt);
+    return attempt;
+}
+
+async function openSocket(sessionId, sessionInfo) {
+    clearRetry(sessionId);
+    retire(sessionInfo);
+    // Only the backoff timer continues a retry sequence; anything else starts afresh
+    if (stateOf(sessionInfo) !== "backing_off") connectionOf(sessionInfo).attempts = 0;
+
+    let waClient;
+    try {
+        const { state, saveCreds } = await authState.useAuthState(sessionInfo.authPath);
+        const version = await transport.socketVersion();
+
+        transition(sessionId, sessionInfo, state.creds?.registered ? "connecting" : "pairing");
+        waClient = transport.createSocket({
+            version,
+            auth: {
+                creds: state.creds,
+                keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "fatal" }))
+            },
+            printQRInTerminal: false,
+            logger: logs.forBaileys(sessionId),
+            browser: Browsers.ubuntu('Chrome'),
+            syncFullHistory: false,
+            shouldIgnoreJid: jid => isJidBroadcast(jid),
+            markOnlineOnConnect: false,
+            connectTimeoutMs: CONNECT_TIMEOUT_MS,
+            defaultQueryTimeoutMs: 60000,
+        });
+        waClient.ev.on("creds.update", saveCreds);
+    } catch (err) {
+        console.error(`❌ Could not start a connection for ${sessionId}:`, err.message);
+        logs.forSession(sessionId).error({ err }, "Could not start a connection");
+        handleClose(sessionId, sessionInfo, err);
+        return null;
+    }
+
+    sessionInfo.client = waClient;
+    hooks.onSocket(sessionId, sessionInfo, waClient);
+    waClient.ev.on("connection.update", update => handleUpdate(sessionId, sessionInfo, waClient, update));
+    return waClient;
+}
+
+async function handleUpdate(sessionId, sessionInfo, waClient, update) {
+    // Events from a socket that has since been replaced or ended
+    if (sessionInfo.client !== waClient) return;
+
+    const { connection, lastDisconnect, qr } = update;
+    logUpdate(sessionId, update);
+
+    if (qr && !sessionInfo.registered) {
+        sessionInfo.qrCode = qr;
+        transition(sessionId, sessionInfo, stateOf(sessionInfo));
+    }
+
+    if (connection === "open") {
+        sessionInfo.qrCode = null;
+        try {
+            await hooks.onOpen(sessionId, sessionInfo, waClient);
+        } catch (err) {
+            console.log(`⚠️ Post-connect setup failed for ${sessionId}:`, err.message);
+        }
+        if (sessionInfo.client !== waClient) return;
+
+        console.log(`✅ Connected: ${sessionId}`);
+        transition(sessionId, sessionInfo, "open", {
+            attempts: 0,
+            nextRetryAt: null,
+            lastConnectedAt: new Date().toISOString()
+        });
+    } else if (connection === "close") {
+        handleClose(sessionId, sessionInfo, lastDisconnect?.error);
+    }
+}
+
+function handleClose(sessionId, sessionInfo, error) {
+    const connection = connectionOf(sessionInfo);
+    const statusCode = error?.output?.statusCode || null;
+    const lastDisconnect = { statusCode, reason: error?.message || null, at: new Date().toISOString() };
+
+    const wasPairing = connection.state === "pairing";
+
+    sessionInfo.client = null;
+    sessionInfo.qrCode = null;
+    console.log(`❌ Connection closed for ${sessionId}, status: ${statusCode}`);
+
+    if (wasPairing && statusCode === DisconnectReason.timedOut) {
+        hooks.onPairingTimeout(sessionId, sessionInfo);
+    }
+
+    if (statusCode === DisconnectReason.loggedOut) {
+        sessionInfo.registered = false;
+        sessionInfo.lastError = "Logged out from WhatsApp. Please pair again.";
+        transition(sessionId, sessionInfo, "logged_out", { lastDisconnect, nextRetryAt: null });
+        return;
+    }
+
+    // WhatsApp asks for a fresh socket right after pairing
+    if (statusCode === DisconnectReason.restartRequired) {
+        connection.lastDisconnect = lastDisconnect;
+        connect(sessionId, sessionInfo);
+        return;
+    }
+
+    const attempts = connection.attempts + 1;
+    if (BACKOFF.maxAttempts && attempts > BACKOFF.maxAttempts) {
+        console.log(`🚫 Max reconnection attempts reached for ${sessionId}`);
+        sessionInfo.lastError = `Connection closed (status ${statusCode}) after ${BACKOFF.maxAttempts} reconnection attempts`;
+        transition(sessionId, sessionInfo, "failed", { lastDisconnect, nextRetryAt: null });
+        return;
+    }
+
+    const waitMs = backoffDelay(attempts);
+    console.log(`🔄 Reconnection attempt ${attempts} for ${sessionId} in ${Math.round(waitMs / 1000)}s...`);
+    transition(sessionId, sessionInfo, "backing_off", {
+        attempts,
+        lastDisconnect,
+        nextRetryAt: new Date(Date.now() + waitMs).toISOString()
+    });
+    retryTimers.set(sessionId, setTimeout(() => {
+        retryTimers.delete(sessionId);
+        connect(sessionId, sessionInfo);
+    }, waitMs));
+}
+
+// Ends the current socket without triggering a reconnect
+function retire(sessionInfo) {
+    const { client } = sessionInfo;
+    if (!client) return;
+    sessionInfo.client = null;
+    try {
+        client.end(undefined);
+    } catch (err) {
+        // already closed
+    }
+}
+
+function disconnect(sessionId, sessionInfo) {
+    clearRetry(sessionId);
+    const hadClient = Boolean(sessionInfo.client);
+    retire(sessionInfo);
+    if (stateOf(sessionInfo) !== "idle") {
+        transition(sessionId, sessionInfo, "idle", { nextRetryAt: null });
+    }
+    return hadClient;
+}
+
+// Resolves once predicate(sessionInfo) holds; rejects after timeoutMs
+function waitFor(sessionId, sessionInfo, predicate, timeoutMs = CONNECT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        if (predicate(sessionInfo)) return resolve(stateOf(sessionInfo));
+
+        const onChange = (id) => {
+            if (id !== sessionId || !predicate(sessionInfo)) return;
+            clearTimeout(timer);
+            bus.off("change", onChange);
+            resolve(stateOf(sessionInfo));
+        };
+        const timer = setTimeout(() => {
+            bus.off("change", onChange);
+            reject(new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s waiting for the connection`));
+        }, timeoutMs);
+        bus.on("change", onChange);
+    });
+}
+
+// The open socket for a paired session, connecting first if nothing is
+// trying to. Rejects when the session is logged out, gives up or times out.
+async function ensureOpen(sessionId, sessionInfo, timeoutMs = CONNECT_TIMEOUT_MS) {
+    const state = stateOf(sessionInfo);
+    if (state === "open" && sessionInfo.client) return sessionInfo.client;
+    if (state === "logged_out") throw new Error(sessionInfo.lastError || "Logged out from WhatsApp");
+    if (sessionInfo.suspended) throw new Error("Session is suspended by an administrator");
+    if (state === "idle" || state === "failed") connect(sessionId, sessionInfo);
+
+    const settled = await waitFor(sessionId, sessionInfo, info => ["open", "logged_out", "failed"].includes(stateOf(info)), timeoutMs);
+    if (settled !== "open") throw new Error(sessionInfo.lastError || `Connection ${settled}`);
+    return sessionInfo.client;
+}
+
+function health(sessionInfo) {
+    const { state, since, attempts, nextRetryAt, lastConnectedAt, lastDisconnect } = connectionOf(sessionInfo);
+    return {
+        state,
+        since,
+        uptimeMs: state === "open" ? Date.now() - new Date(since).getTime() : 0,
+        attempts,
+        maxAttempts: BACKOFF.maxAttempts || null,
+        nextRetryAt,
+        lastConnectedAt,
+        lastDisconnect
+    };
+}
+
+module.exports = {
+    STATES,
+    BACKOFF,
+    configure,
+    stateOf,
+    isRegistered,
+    connect,
+    disconnect,
+    waitFor,
+    ensureOpen,
+    health
+};
@@ -0,0 +1,120 @@
+// lib/consent.js - per-owner opt-out list (fed by STOP replies) and individual-contact allowlist
+const fs = require("fs");
+const path = require("path");
+
+const CONSENT_FILE = path.join("data", "consent.json");
+
+// Whole-message replies, compared after trimming punctuation and case
+const OPT_OUT_KEYWORDS = new Set(["STOP", "STOPALL", "UNSUBSCRIBE", "UNSUB", "CANCEL", "END", "QUIT", "OPTOUT", "OPT OUT"]);
+const OPT_IN_KEYWORDS = new Set(["START", "UNSTOP", "SUBSCRIBE", "OPTIN", "OPT IN"]);
+
+// ownerId -> { optOuts: { jid: entry }, allowlist: { jid: entry } }
+let owners = null;
+
+function load() {
+    if (owners) return owners;
+    owners = fs.existsSync(CONSENT_FILE)
+        ? JSON.parse(fs.readFileSync(CONSENT_FILE, "utf-8"))
+        : {};
+    return owners;
+}
+
+function save() {
+    const dir = path.dirname(CONSENT_FILE);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${CONSENT_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(owners, null, 2));
+    fs.renameSync(tmp, CONSENT_FILE);
+}
+
+function ownerLists(ownerId) {
+    const all = load();
+    if (!all[ownerId]) all[ownerId] = { optOuts: {}, allowlist: {} };
+    return all[ownerId];
+}
+
+// Phone numbers become user JIDs; anything that already has a domain is kept
+function toJid(value) {
+    const text = String(value || "").trim();
+    if (text.includes("@")) return text;
+    const digits = text.replace(/[^0-9]/g, "");
+    return digits ? `${digits}@s.whatsapp.net` : null;
+}
+
+function normalizeReply(text) {
+    return String(text || "").trim().toUpperCase().replace(/[^A-Z ]/g, "").replace(/\s+/g, " ").trim();
+}
+
+// "opt_out", "opt_in" or null for an inbound message text
+function classifyReply(text) {
+    const reply = normalizeReply(text);
+    if (OPT_OUT_KEYWORDS.has(reply)) return "opt_out";
+    if (OPT_IN_KEYWORDS.has(reply)) return "opt_in";
+    return null;
+}
+
+function isOptedOut(ownerId, jid) {
+    return Boolean(load()[ownerId]?.optOuts[jid]);
+}
+
+function addOptOut(ownerId, jid, { source = "manual", sessionId = null, text = null, reason = null } = {}) {
+    const lists = ownerLists(ownerId);
+    if (lists.optOuts[jid]) return lists.optOuts[jid];
+
+    lists.optOuts[jid] = { jid, source, sessionId, text, reason, at: new Date().toISOString() };
+    save();
+    return lists.optOuts[jid];
+}
+
+function removeOptOut(ownerId, jid) {
+    const lists = ownerLists(ownerId);
+    if (!lists.optOuts[jid]) return false;
+    delete lists.optOuts[jid];
+    save();
+    return true;
+}
+
+function listOptOuts(ownerId) {
+    return Object.values(ownerLists(ownerId).optOuts);
+}
+
+function isAllowed(ownerId, jid) {
+    return Boolean(load()[ownerId]?.allowlist[jid]);
+}
+
+function allow(ownerId, jid, { name = null, note = null } = {}) {
+    const lists = ownerLists(ownerId);
+    lists.allowlist[jid] = {
+        jid,
+        name: name || lists.allowlist[jid]?.name || null,
+        note: note || lists.allowlist[jid]?.note || null,
+        addedAt: lists.allowlist[jid]?.addedAt || new Date().toISOString()
+    };
+    save();
+    return lists.allowlist[jid];
+}
+
+function disallow(ownerId, jid) {
+    const lists = ownerLists(ownerId);
+    if (!lists.allowlist[jid]) return false;
+    delete lists.allowlist[jid];
+    save();
+    return true;
+}
+
+function listAllowed(ownerId) {
+    return Object.values(ownerLists(ownerId).allowlist);
+}
+
+module.exports = {
+    toJid,
+    classifyReply,
+    isOptedOut,
+    addOptOut,
+    removeOptOut,
+    listOptOuts,
+    isAllowed,
+    allow,
+    disallow,
+    listAllowed
+};
@@ -0,0 +1,184 @@
+// lib/cron.js - five-field cron expressions evaluated in an IANA time zone
+const MINUTE_MS = 60 * 1000;
+// Far enough ahead to find a 29 February
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const MACROS = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *"
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "dayOfMonth", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    // 7 is accepted as another Sunday
+    { name: "dayOfWeek", min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const formatters = new Map();
+
+function defaultTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function parseValue(text, field, expression) {
+    const lower = text.toLowerCase();
+    const named = field.names ? field.names.indexOf(lower) : -1;
+    const value = named >= 0 ? named + field.offset : Number(text);
+
+    if (!/^\d+$/.test(text) && named < 0) {
+        throw new Error(`Invalid ${field.name} "${text}" in cron expression "${expression}"`);
+    }
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} ${text} is out of range (${field.min}-${field.max}) in "${expression}"`);
+    }
+    return value;
+}
+
+// One field: "*", "5", "1-5", "*/15", "10-40/10", "mon-fri" or a comma-separated list of those
+function parseField(text, field, expression) {
+    const values = new Set();
+
+    for (const part of text.split(",")) {
+        const [range, stepText] = part.split("/");
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in cron expression "${expression}"`);
+        }
+
+        let start;
+        let end;
+        if (range === "*") {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes("-")) {
+            const [from, to] = range.split("-");
+            start = parseValue(from, field, expression);
+            end = parseValue(to, field, expression);
+            if (start > end) throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+        } else {
+            start = parseValue(range, field, expression);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+
+    if (field.name === "dayOfWeek" && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+    return values;
+}
+
+function parse(expression) {
+    const text = String(expression || "").trim();
+    const expanded = MACROS[text.toLowerCase()] || text;
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression "${text}" must have 5 fields: minute hour day-of-month month day-of-week`);
+    }
+
+    const cron = {};
+    FIELDS.forEach((field, i) => { cron[field.name] = parseField(parts[i], field, text); });
+    // As in crontab, when both day fields are restricted either one may match
+    cron.dayOfMonthRestricted = parts[2] !== "*";
+    cron.dayOfWeekRestricted = parts[4] !== "*";
+    return cron;
+}
+
+function zonedFields(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            weekday: "short"
+        }));
+    }
+
+    const fields = {};
+    for (const { type, value } of formatters.get(timeZone).formatToParts(date)) fields[type] = value;
+    return {
+        month: Number(fields.month),
+        day: Number(fields.day),
+        hour: Number(fields.hour),
+        minute: Number(fields.minute),
+        weekday: DAY_NAMES.indexOf(fields.weekday.toLowerCase())
+    };
+}
+
+function dayMatches(cron, fields) {
+    const byMonthDay = cron.dayOfMonth.has(fields.day);
+    const byWeekday = cron.dayOfWeek.has(fields.weekday);
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return byMonthDay || byWeekday;
+    return byMonthDay && byWeekday;
+}
+
+// Start of the local day after the one `time` falls on. Days are 23 or 25
+// hours long when DST changes, so the 24-hour estimate is corrected: back
+// to midnight when it overshot, forward an hour at a time when it fell short
+// (or the zone has no midnight that day).
+function nextLocalDay(time, fields, timeZone) {
+    let next = time + ((23 - fields.hour) * 60 + (60 - fields.minute)) * MINUTE_MS;
+    let landed = zonedFields(new Date(next), timeZone);
+    if (landed.day !== fields.day && (landed.hour > 0 || landed.minute > 0)) {
+        next -= (landed.hour * 60 + landed.minute) * MINUTE_MS;
+        landed = zonedFields(new Date(next), timeZone);
+    }
+    while (landed.day === fields.day) {
+        next += (60 - landed.minute) * MINUTE_MS;
+        landed = zonedFields(new Date(next), timeZone);
+    }
+    return next;
+}
+
+// First matching minute strictly after `after`, or null if the expression never matches
+function nextRun(expression, { after = new Date(), timeZone = defaultTimeZone() } = {}) {
+    const cron = parse(expression);
+    let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limit = time + SEARCH_LIMIT_MS;
+
+    while (time < limit) {
+        const fields = zonedFields(new Date(time), timeZone);
+        if (!cron.month.has(fields.month) || !dayMatches(cron, fields)) {
+            time = nextLocalDay(time, fields, timeZone);
+        } else if (!cron.hour.has(fields.hour)) {
+            time += (60 - fields.minute) * MINUTE_MS;
+        } else if (!cron.minute.has(fields.minute)) {
+            time += MINUTE_MS;
+        } else {
+            return new Date(time);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    defaultTimeZone,
+    isValidTimeZone,
+    parse,
+    nextRun
+};
@@ -0,0 +1,176 @@
+// lib/delivery-tracker.js - per-message server ack / delivered / read tracking for send tasks
+const taskStore = require("./task-store");
+
+// Numeric values follow proto.WebMessageInfo.Status in Baileys
+const STATUS_NAMES = ["failed", "pending", "server_ack", "delivered", "read", "read"];
+const STATUS_RANK = { skipped: -1, failed: -1, pending: 1, server_ack: 2, delivered: 3, read: 4 };
+
+// taskId -> array of delivery records (one per send attempt, indexed by cursor)
+const deliveriesByTask = new Map();
+// "<remoteJid>:<messageId>" -> { taskId, index }
+const messageIndex = new Map();
+
+function keyOf(key) {
+    return `${key.remoteJid}:${key.id}`;
+}
+
+function raiseStatus(delivery, status, at) {
+    if (STATUS_RANK[delivery.status] < 0 || STATUS_RANK[status] <= STATUS_RANK[delivery.status]) return false;
+    delivery.status = status;
+    if (status === "server_ack") delivery.serverAckAt = at;
+    if (status === "delivered") delivery.deliveredAt = delivery.deliveredAt || at;
+    if (status === "read") {
+        delivery.deliveredAt = delivery.deliveredAt || at;
+        delivery.readAt = at;
+    }
+    return true;
+}
+
+// Applies one journal event to the in-memory records; used both live and on replay
+function applyEvent(taskId, event) {
+    if (!deliveriesByTask.has(taskId)) deliveriesByTask.set(taskId, []);
+    const deliveries = deliveriesByTask.get(taskId);
+
+    if (event.type === "sent" || event.type === "failed" || event.type === "skipped") {
+        deliveries[event.index] = {
+            index: event.index,
+            messageIndex: event.messageIndex,
+            recipient: event.recipient,
+            messageId: event.messageId || null,
+            // Rendered text; journals written before it was recorded have none
+            text: event.text ?? null,
+            status: event.type === "sent" ? "pending" : event.type,
+            error: event.error || null,
+            sentAt: event.at,
+            serverAckAt: null,
+            deliveredAt: null,
+            readAt: null,
+            receipts: {}
+        };
+        if (event.messageId) {
+            messageIndex.set(`${event.recipient}:${event.messageId}`, { taskId, index: event.index });
+        }
+        return;
+    }
+
+    const delivery = deliveries[event.index];
+    if (!delivery) return;
+
+    if (event.type === "status") {
+        raiseStatus(delivery, event.status, event.at);
+    } else if (event.type === "receipt") {
+        // Group messages report delivery and reads per participant
+        const previous = delivery.receipts[event.userJid];
+        if (previous !== "read") delivery.receipts[event.userJid] = event.status;
+        raiseStatus(delivery, event.status, event.at);
+    }
+}
+
+function record(taskId, event) {
+    const at = new Date().toISOString();
+    const stamped = { ...event, at };
+    applyEvent(taskId, stamped);
+    taskStore.appendDeliveryEvent(taskId, stamped);
+}
+
+function recordSent(taskId, { index, messageIndex: msgIndex, recipient, key, text = null }) {
+    record(taskId, { type: "sent", index, messageIndex: msgIndex, recipient, messageId: key?.id || null, text });
+}
+
+function recordFailed(taskId, { index, messageIndex: msgIndex, recipient, error, text = null }) {
+    record(taskId, { type: "failed", index, messageIndex: msgIndex, recipient, error, text });
+}
+
+// Not attempted, e.g. because the recipient opted out
+function recordSkipped(taskId, { index, messageIndex: msgIndex, recipient, reason }) {
+    record(taskId, { type: "skipped", index, messageIndex: msgIndex, recipient, error: reason });
+}
+
+// Baileys "messages.update": [{ key, update: { status } }]
+function applyMessageUpdates(updates) {
+    for (const { key, update } of updates || []) {
+        if (!key?.fromMe || typeof update?.status !== "number") continue;
+        const ref = messageIndex.get(keyOf(key));
+        const status = STATUS_NAMES[update.status];
+        if (!ref || !status || status === "failed") continue;
+
+        const delivery = deliveriesByTask.get(ref.taskId)?.[ref.index];
+        if (delivery && STATUS_RANK[status] > STATUS_RANK[delivery.status]) {
+            record(ref.taskId, { type: "status", index: ref.index, status });
+        }
+    }
+}
+
+// Baileys "message-receipt.update": [{ key, receipt: { userJid, receiptTimestamp, readTimestamp, playedTimestamp } }]
+function applyReceiptUpdates(updates) {
+    for (const { key, receipt } of updates || []) {
+        const ref = messageIndex.get(keyOf(key));
+        if (!ref || !receipt?.userJid) continue;
+
+        const status = receipt.readTimestamp || receipt.playedTimestamp ? "read" : "delivered";
+        const delivery = deliveriesByTask.get(ref.taskId)?.[ref.index];
+        if (delivery && delivery.receipts[receipt.userJid] !== "read" && delivery.receipts[receipt.userJid] !== status) {
+            record(ref.taskId, { type: "receipt", index: ref.index, userJid: receipt.userJid, status });
+        }
+    }
+}
+
+function getDeliveries(taskId) {
+    return (deliveriesByTask.get(taskId) || []).filter(Boolean);
+}
+
+function countStatuses(deliveries) {
+    const counts = { pending: 0, serverAck: 0, delivered: 0, read: 0, failed: 0, skipped: 0 };
+    for (const delivery of deliveries) {
+        if (delivery.status === "failed") { counts.failed++; continue; }
+        if (delivery.status === "skipped") { counts.skipped++; continue; }
+        if (delivery.status === "pending") counts.pending++;
+        // Each level implies the ones below it
+        if (STATUS_RANK[delivery.status] >= STATUS_RANK.server_ack) counts.serverAck++;
+        if (STATUS_RANK[delivery.status] >= STATUS_RANK.delivered) counts.delivered++;
+        if (delivery.status === "read") counts.read++;
+    }
+    return counts;
+}
+
+function summarize(taskId) {
+    return countStatuses(getDeliveries(taskId));
+}
+
+function summarizeByRecipient(taskId) {
+    const byRecipient = {};
+    for (const delivery of getDeliveries(taskId)) {
+        (byRecipient[delivery.recipient] = byRecipient[delivery.recipient] || []).push(delivery);
+    }
+    const summary = {};
+    for (const [recipient, deliveries] of Object.entries(byRecipient)) {
+        summary[recipient] = countStatuses(deliveries);
+    }
+    return summary;
+}
+
+function restore(taskId) {
+    for (const event of taskStore.loadDeliveryEvents(taskId)) {
+        applyEvent(taskId, event);
+    }
+}
+
+function forget(taskId) {
+    for (const delivery of getDeliveries(taskId)) {
+        if (delivery.messageId) messageIndex.delete(`${delivery.recipient}:${delivery.messageId}`);
+    }
+    deliveriesByTask.delete(taskId);
+}
+
+module.exports = {
+    recordSent,
+    recordFailed,
+    recordSkipped,
+    applyMessageUpdates,
+    applyReceiptUpdates,
+    getDeliveries,
+    summarize,
+    summarizeByRecipient,
+    restore,
+    forget
+};
@@ -0,0 +1,229 @@
+// lib/group-cache.js - one group list per session. Loaded in full when the
+// connection opens (or on request) and kept current from Baileys'
+// groups.upsert, groups.update and group-participants.update events.
+const logs = require("./logs");
+
+let hooks = {
+    // (sessionId, sessionInfo, groupIds) after a load or an event changed groups
+    onChange() {}
+};
+
+function configure(handlers) {
+    hooks = { ...hooks, ...handlers };
+}
+
+function cacheOf(sessionInfo) {
+    if (!sessionInfo.groupCache) {
+        sessionInfo.groupCache = { sessionId: null, groups: new Map(), loadedAt: null, self: [] };
+    }
+    return sessionInfo.groupCache;
+}
+
+function toIso(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// "15551234567:3@s.whatsapp.net" -> "15551234567"
+function userOf(jid) {
+    return typeof jid === "string" ? jid.split("@")[0].split(":")[0] : null;
+}
+
+// Our own account can appear in groups by phone number or by LID
+function rememberSelf(cache, waClient) {
+    const own = [waClient.user?.id, waClient.user?.lid].map(userOf).filter(Boolean);
+    if (own.length > 0) cache.self = own;
+}
+
+function isSelf(cache, jid) {
+    return cache.self.includes(userOf(jid));
+}
+
+// Participants are plain JIDs in older Baileys events and objects in newer ones
+function participantId(participant) {
+    return typeof participant === "string" ? participant : participant?.id;
+}
+
+// Merges (partial) Baileys GroupMetadata into a cache entry. Only fields
+// present in `data` change; Baileys calls the flags announce/restrict.
+function applyMetadata(entry, data) {
+    if (data.subject !== undefined) entry.name = data.subject || "Unknown Group";
+    const announce = data.announce ?? data.announcement;
+    if (announce !== undefined) entry.isAnnouncement = Boolean(announce);
+    const restrict = data.restrict ?? data.locked;
+    if (restrict !== undefined) entry.isLocked = Boolean(restrict);
+    if (data.creation !== undefined) entry.creation = toIso(data.creation);
+    if (data.subjectOwner !== undefined) entry.subjectOwner = data.subjectOwner;
+    if (data.subjectTime !== undefined) entry.subjectTime = toIso(data.subjectTime);
+    if (data.size !== undefined) entry.size = data.size;
+    if (Array.isArray(data.participants)) {
+        entry.members = new Map(data.participants.map(p => [participantId(p), p.admin || null]));
+    }
+    return entry;
+}
+
+function newEntry(id) {
+    return {
+        id,
+        name: "Unknown Group",
+        isAnnouncement: false,
+        isLocked: false,
+        creation: null,
+        subjectOwner: null,
+        subjectTime: null,
+        size: 0,
+        members: new Map()
+    };
+}
+
+// The group model every route and template sees
+function toGroup(entry, cache) {
+    const ownRole = [...entry.members].find(([jid]) => isSelf(cache, jid))?.[1] || null;
+    return {
+        id: entry.id,
+        name: entry.name,
+        participants: entry.members.size || entry.size,
+        isAnnouncement: entry.isAnnouncement,
+        isLocked: entry.isLocked,
+        isAdmin: ownRole === "admin" || ownRole === "superadmin",
+        creation: entry.creation,
+        subjectOwner: entry.subjectOwner,
+        subjectTime: entry.subjectTime
+    };
+}
+
+function changed(sessionInfo, groupIds) {
+    const cache = cacheOf(sessionInfo);
+    if (groupIds.length === 0 || !cache.sessionId) return;
+    hooks.onChange(cache.sessionId, sessionInfo, groupIds);
+}
+
+// Replaces the cache with everything the account currently participates in
+async function load(sessionInfo, waClient = sessionInfo.client) {
+    const groupData = await waClient.groupFetchAllParticipating();
+    const cache = cacheOf(sessionInfo);
+    rememberSelf(cache, waClient);
+
+    cache.groups = new Map(Object.values(groupData).map(data => [data.id, applyMetadata(newEntry(data.id), data)]));
+    cache.loadedAt = new Date().toISOString();
+    changed(sessionInfo, [...cache.groups.keys()]);
+    return list(sessionInfo);
+}
+
+// Full metadata for a group we only heard about through an event
+async function fetchOne(sessionInfo, waClient, groupId) {
+    try {
+        const data = await waClient.groupMetadata(groupId);
+        if (sessionInfo.client !== waClient) return;
+        cacheOf(sessionInfo).groups.set(groupId, applyMetadata(newEntry(groupId), data));
+        changed(sessionInfo, [groupId]);
+    } catch (err) {
+        logs.forSession(cacheOf(sessionInfo).sessionId).warn({ err, groupId }, "Could not fetch group metadata");
+    }
+}
+
+function onUpsert(sessionInfo, groups) {
+    const cache = cacheOf(sessionInfo);
+    for (const data of groups) {
+        cache.groups.set(data.id, applyMetadata(cache.groups.get(data.id) || newEntry(data.id), data));
+    }
+    changed(sessionInfo, groups.map(data => data.id));
+}
+
+function onUpdate(sessionInfo, waClient, updates) {
+    const cache = cacheOf(sessionInfo);
+    const ids = [];
+    for (const data of updates) {
+        const entry = cache.groups.get(data.id);
+        if (entry) {
+            applyMetadata(entry, data);
+            ids.push(data.id);
+        } else if (cache.loadedAt) {
+            fetchOne(sessionInfo, waClient, data.id);
+        }
+    }
+    changed(sessionInfo, ids);
+}
+
+function onParticipants(sessionInfo, waClient, { id, participants = [], action }) {
+    const cache = cacheOf(sessionInfo);
+    const jids = participants.map(participantId).filter(Boolean);
+    rememberSelf(cache, waClient);
+    const includesSelf = jids.some(jid => isSelf(cache, jid));
+
+    if (action === "remove" && includesSelf) {
+        if (cache.groups.delete(id)) changed(sessionInfo, [id]);
+        return;
+    }
+
+    const entry = cache.groups.get(id);
+    if (!entry) {
+        // Added to a group we have no metadata for yet
+        if (cache.loadedAt && (action === "add" || includesSelf)) fetchOne(sessionInfo, waClient, id);
+        return;
+    }
+
+    for (const jid of jids) {
+        if (action === "add") entry.members.set(jid, null);
+        else if (action === "remove") entry.members.delete(jid);
+        else if (action === "promote") entry.members.set(jid, "admin");
+        else if (action === "demote") entry.members.set(jid, null);
+    }
+    changed(sessionInfo, [id]);
+}
+
+// Subscribes the cache to a session's new socket. Entries from the previous
+// socket stay until the next load so lists survive a reconnect.
+function attach(sessionId, sessionInfo, waClient) {
+    cacheOf(sessionInfo).sessionId = sessionId;
+    const current = handler => (...args) => {
+        if (sessionInfo.client !== waClient) return;
+        try {
+            handler(...args);
+        } catch (err) {
+            logs.forSession(sessionId).warn({ err }, "Could not apply a group update");
+        }
+    };
+
+    waClient.ev.on("groups.upsert", current(groups => onUpsert(sessionInfo, groups || [])));
+    waClient.ev.on("groups.update", current(updates => onUpdate(sessionInfo, waClient, updates || [])));
+    waClient.ev.on("group-participants.update", current(update => onParticipants(sessionInfo, waClient, update)));
+}
+
+function isLoaded(sessionInfo) {
+    return Boolean(sessionInfo.groupCache?.loadedAt);
+}
+
+// Groups sorted by name
+function list(sessionInfo) {
+    const cache = sessionInfo?.groupCache;
+    if (!cache) return [];
+    return [...cache.groups.values()]
+        .map(entry => toGroup(entry, cache))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function get(sessionInfo, groupId) {
+    const entry = sessionInfo?.groupCache?.groups.get(groupId);
+    return entry ? toGroup(entry, sessionInfo.groupCache) : null;
+}
+
+function count(sessionInfo) {
+    return sessionInfo?.groupCache ? sessionInfo.groupCache.groups.size : 0;
+}
+
+function clear(sessionInfo) {
+    if (!sessionInfo.groupCache) return;
+    sessionInfo.groupCache.groups = new Map();
+    sessionInfo.groupCache.loadedAt = null;
+}
+
+module.exports = {
+    configure,
+    attach,
+    load,
+    isLoaded,
+    list,
+    get,
+    count,
+    clear
+};
@@ -0,0 +1,53 @@
+// lib/live-events.js - in-process event bus behind the /events stream, scoped by owner
+const { EventEmitter } = require("events");
+
+// Kept so a reconnecting client can catch up from its Last-Event-ID
+const HISTORY_SIZE = 500;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Event IDs are "<epoch>-<seq>". The sequence restarts with the process, so
+// the epoch tells a Last-Event-ID from this process apart from an older one.
+const EPOCH = Date.now().toString(36);
+
+const history = [];
+let lastSeq = 0;
+
+function publish(ownerId, type, data) {
+    if (!ownerId) return;
+
+    const seq = ++lastSeq;
+    const event = { id: `${EPOCH}-${seq}`, seq, ownerId, type, data, at: new Date().toISOString() };
+    history.push(event);
+    if (history.length > HISTORY_SIZE) history.shift();
+    bus.emit("event", event);
+}
+
+// The sequence number of an event ID from this process, or null for IDs
+// from before a restart and anything else
+function sequenceOf(eventId) {
+    const match = String(eventId || "").match(/^([0-9a-z]+)-(\d+)$/);
+    return match && match[1] === EPOCH ? parseInt(match[2], 10) : null;
+}
+
+// Calls listener(event) for every new event belonging to ownerId, after
+// replaying buffered events newer than the event ID `since`. IDs from
+// another process replay nothing. Returns an unsubscribe function.
+function subscribe(ownerId, listener, { since } = {}) {
+    const sinceSeq = sequenceOf(since);
+    if (sinceSeq !== null && sinceSeq < lastSeq) {
+        history.filter(event => event.seq > sinceSeq && event.ownerId === ownerId).forEach(listener);
+    }
+
+    const onEvent = event => {
+        if (event.ownerId === ownerId) listener(event);
+    };
+    bus.on("event", onEvent);
+    return () => bus.off("event", onEvent);
+}
+
+module.exports = {
+    publish,
+    subscribe
+};
@@ -0,0 +1,84 @@
+// lib/logs.js - pino child loggers per session and per task, each backed by a
+// bounded in-memory ring buffer that /task-logs and /session-logs read from
+const pino = require("pino");
+
+const BUFFER_SIZE = Math.max(10, parseInt(process.env.LOG_BUFFER_SIZE, 10) || 500);
+const LEVEL = process.env.LOG_LEVEL || "debug";
+// Baileys is chatty below "warn"; its entries land in the session's buffer
+const BAILEYS_LEVEL = process.env.BAILEYS_LOG_LEVEL || "warn";
+
+// "task:<id>" / "session:<id>" -> entries, oldest first
+const buffers = new Map();
+
+function push(key, entry) {
+    if (!buffers.has(key)) buffers.set(key, []);
+    const buffer = buffers.get(key);
+    buffer.push(entry);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+}
+
+// pino destination that files each line under its task and session
+const ringStream = {
+    write(line) {
+        let entry;
+        try { entry = JSON.parse(line); } catch (e) { return; }
+        entry.level = pino.levels.labels[entry.level] || entry.level;
+        entry.time = new Date(entry.time).toISOString();
+
+        if (entry.taskId) push(`task:${entry.taskId}`, entry);
+        if (entry.sessionId) push(`session:${entry.sessionId}`, entry);
+    }
+};
+
+// LOG_STDOUT=true mirrors the structured entries to stdout next to the console output
+const root = pino(
+    { level: LEVEL, base: undefined },
+    process.env.LOG_STDOUT === "true"
+        ? pino.multistream([{ stream: ringStream, level: LEVEL }, { stream: process.stdout, level: LEVEL }])
+        : ringStream
+);
+
+const sessionLoggers = new Map();
+const taskLoggers = new Map();
+
+function forSession(sessionId) {
+    if (!sessionLoggers.has(sessionId)) sessionLoggers.set(sessionId, root.child({ sessionId }));
+    return sessionLoggers.get(sessionId);
+}
+
+// Logger handed to makeWASocket so Baileys warnings show up in /session-logs
+function forBaileys(sessionId) {
+    return forSession(sessionId).child({ module: "baileys" }, { level: BAILEYS_LEVEL });
+}
+
+// Task entries also appear in the task's session log
+function forTask(taskInfo) {
+    if (!taskLoggers.has(taskInfo.taskId)) {
+        taskLoggers.set(taskInfo.taskId, root.child({ sessionId: taskInfo.sessionId, taskId: taskInfo.taskId }));
+    }
+    return taskLoggers.get(taskInfo.taskId);
+}
+
+// Newest entries last; `level` keeps that level and above
+function read(scope, id, { level, limit } = {}) {
+    const minLevel = level ? pino.levels.values[level] : 0;
+    const entries = (buffers.get(`${scope}:${id}`) || [])
+        .filter(entry => !minLevel || pino.levels.values[entry.level] >= minLevel);
+    const count = Math.min(BUFFER_SIZE, Math.max(1, parseInt(limit, 10) || BUFFER_SIZE));
+    return entries.slice(-count);
+}
+
+function forget(scope, id) {
+    buffers.delete(`${scope}:${id}`);
+    if (scope === "task") taskLoggers.delete(id);
+    if (scope === "session") sessionLoggers.delete(id);
+}
+
+module.exports = {
+    LEVELS: Object.keys(pino.levels.values),
+    forSession,
+    forBaileys,
+    forTask,
+    read,
+    forget
+};
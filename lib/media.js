@@ -0,0 +1,112 @@
+// lib/media.js - attachment validation and Baileys payloads for media messages
+const path = require("path");
+
+const MB = 1024 * 1024;
+
+// Limits follow WhatsApp's own caps for each message type
+const ATTACHMENT_RULES = {
+    image: {
+        maxBytes: 5 * MB,
+        mimetypes: ["image/jpeg", "image/png", "image/webp"],
+        extensions: [".jpg", ".jpeg", ".png", ".webp"]
+    },
+    video: {
+        maxBytes: 16 * MB,
+        mimetypes: ["video/mp4", "video/3gpp"],
+        extensions: [".mp4", ".3gp"]
+    },
+    document: {
+        maxBytes: 100 * MB,
+        mimetypes: [
+            "application/pdf",
+            "application/msword",
+            "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+            "application/vnd.ms-excel",
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            "application/vnd.ms-powerpoint",
+            "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+            "text/plain",
+            "text/csv",
+            "application/zip"
+        ],
+        extensions: [".pdf", ".doc", ".docx", ".xls", ".xlsx", ".ppt", ".pptx", ".txt", ".csv", ".zip"]
+    }
+};
+
+const MAX_ATTACHMENT_BYTES = Math.max(...Object.values(ATTACHMENT_RULES).map(rule => rule.maxBytes));
+
+// A message line starting with [[file name]] sends that attachment with the
+// rest of the line as its caption
+const ATTACHMENT_REF = /^\[\[([^\]]+)\]\]\s*(.*)$/;
+
+// Returns { kind } for a multer file, or { error } when the type or size is not allowed
+function classifyAttachment(file) {
+    const extension = path.extname(file.originalname || "").toLowerCase();
+
+    for (const [kind, rule] of Object.entries(ATTACHMENT_RULES)) {
+        if (!rule.mimetypes.includes(file.mimetype) || !rule.extensions.includes(extension)) continue;
+        if (file.size > rule.maxBytes) {
+            return { error: `${file.originalname} is ${(file.size / MB).toFixed(1)} MB; ${kind} attachments are limited to ${rule.maxBytes / MB} MB` };
+        }
+        return { kind };
+    }
+    return { error: `${file.originalname} (${file.mimetype}) is not a supported image, video or document type` };
+}
+
+// Returns { fileName, text } when the line references an attachment, else null
+function splitAttachmentRef(line) {
+    const match = line.match(ATTACHMENT_REF);
+    return match ? { fileName: match[1].trim(), text: match[2] } : null;
+}
+
+// Turns one line of the message file into a message entry. Plain text stays a
+// string; attachment references become { text, attachment }.
+function parseMessageLine(line, attachmentsByName) {
+    const ref = splitAttachmentRef(line);
+    if (!ref) return line;
+
+    const attachment = attachmentsByName[ref.fileName];
+    if (!attachment) {
+        throw new Error(`Unknown attachment "${ref.fileName}". Upload it with the task.`);
+    }
+    return { text: ref.text, attachment };
+}
+
+function messageText(entry) {
+    return typeof entry === "string" ? entry : entry.text;
+}
+
+function withPrefix(text, prefix) {
+    if (!prefix) return text;
+    return text ? `${prefix} ${text}` : prefix;
+}
+
+// Baileys sendMessage content for a message entry
+function buildMessageContent(entry, prefix) {
+    if (typeof entry === "string") {
+        return { text: withPrefix(entry, prefix) };
+    }
+
+    const { attachment } = entry;
+    const caption = withPrefix(entry.text, prefix) || undefined;
+    const media = { url: attachment.path };
+
+    if (attachment.kind === "image") {
+        return { image: media, mimetype: attachment.mimetype, caption };
+    }
+    if (attachment.kind === "video") {
+        return { video: media, mimetype: attachment.mimetype, caption };
+    }
+    return { document: media, mimetype: attachment.mimetype, fileName: attachment.fileName, caption };
+}
+
+module.exports = {
+    ATTACHMENT_RULES,
+    MAX_ATTACHMENT_BYTES,
+    classifyAttachment,
+    splitAttachmentRef,
+    parseMessageLine,
+    messageText,
+    withPrefix,
+    buildMessageContent
+};
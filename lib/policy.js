@@ -0,0 +1,245 @@
+// lib/policy.js - sending limits per session and per owner: minimum delay,
+// hourly/daily message caps and concurrent tasks. The caps come from the
+// environment unless an owner or session has its own (see setLimits).
+const fs = require("fs");
+const path = require("path");
+
+const USAGE_FILE = path.join("data", "send-usage.json");
+const LIMITS_FILE = path.join("data", "limits.json");
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Defaults for every owner and session. A cap of 0 means unlimited.
+const LIMITS = {
+    minDelayMs: envNumber("POLICY_MIN_DELAY_MS", 1000),
+    session: {
+        hourly: envNumber("POLICY_SESSION_HOURLY_CAP", 300),
+        daily: envNumber("POLICY_SESSION_DAILY_CAP", 1500),
+        concurrentTasks: envNumber("POLICY_SESSION_MAX_TASKS", 2)
+    },
+    owner: {
+        hourly: envNumber("POLICY_OWNER_HOURLY_CAP", 0),
+        daily: envNumber("POLICY_OWNER_DAILY_CAP", 0),
+        concurrentTasks: envNumber("POLICY_OWNER_MAX_TASKS", 5)
+    }
+};
+
+// Caps an owner or session can override
+const CAP_FIELDS = ["hourly", "daily", "concurrentTasks"];
+
+const WINDOWS = [
+    { name: "hourly", ms: HOUR_MS, label: "hour" },
+    { name: "daily", ms: DAY_MS, label: "24 hours" }
+];
+
+// "session:<id>" / "owner:<id>" -> { <minute start ms>: sends }
+let usage = null;
+// "session:<id>" / "owner:<id>" -> { hourly?, daily?, concurrentTasks? }
+let overrides = null;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function load() {
+    if (usage) return usage;
+    try {
+        usage = fs.existsSync(USAGE_FILE) ? JSON.parse(fs.readFileSync(USAGE_FILE, "utf-8")) : {};
+    } catch (err) {
+        console.error("⚠️ Could not read send usage, starting empty:", err.message);
+        usage = {};
+    }
+    return usage;
+}
+
+function save() {
+    try {
+        const dir = path.dirname(USAGE_FILE);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        const tmp = `${USAGE_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(usage));
+        fs.renameSync(tmp, USAGE_FILE);
+    } catch (err) {
+        console.error("⚠️ Could not save send usage:", err.message);
+    }
+}
+
+function loadOverrides() {
+    if (overrides) return overrides;
+    overrides = fs.existsSync(LIMITS_FILE) ? JSON.parse(fs.readFileSync(LIMITS_FILE, "utf-8")) : {};
+    return overrides;
+}
+
+function saveOverrides() {
+    const dir = path.dirname(LIMITS_FILE);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${LIMITS_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(overrides, null, 2));
+    fs.renameSync(tmp, LIMITS_FILE);
+}
+
+// The caps that apply to one owner or session ("owner" / "session")
+function limitsFor(scope, id) {
+    return { ...LIMITS[scope], ...(loadOverrides()[`${scope}:${id}`] || {}) };
+}
+
+// The caps set for this owner or session only, without the defaults
+function overridesFor(scope, id) {
+    return { ...(loadOverrides()[`${scope}:${id}`] || {}) };
+}
+
+// `changes` maps cap fields to a number (0 = unlimited) or null to fall
+// back to the default again. Returns the caps that now apply.
+function setLimits(scope, id, changes) {
+    if (!["owner", "session"].includes(scope)) throw httpError(400, `Unknown limit scope ${scope}`);
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+        throw httpError(400, `Pass one or more of: ${CAP_FIELDS.join(", ")}`);
+    }
+    const unknown = Object.keys(changes).filter(field => !CAP_FIELDS.includes(field));
+    if (unknown.length > 0) throw httpError(400, `Unknown limits: ${unknown.join(", ")}`);
+    for (const [field, value] of Object.entries(changes)) {
+        if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+            throw httpError(400, `${field} must be a non-negative integer, or null for the default`);
+        }
+    }
+
+    const key = `${scope}:${id}`;
+    const all = loadOverrides();
+    const next = { ...(all[key] || {}) };
+    for (const [field, value] of Object.entries(changes)) {
+        if (value === null) delete next[field];
+        else next[field] = value;
+    }
+    if (Object.keys(next).length > 0) all[key] = next;
+    else delete all[key];
+    saveOverrides();
+    return limitsFor(scope, id);
+}
+
+function prune(buckets, now) {
+    for (const minute of Object.keys(buckets)) {
+        if (Number(minute) <= now - DAY_MS) delete buckets[minute];
+    }
+}
+
+function countSince(buckets, since) {
+    let total = 0;
+    for (const [minute, count] of Object.entries(buckets)) {
+        if (Number(minute) > since) total += count;
+    }
+    return total;
+}
+
+// When enough old sends leave the window for the count to drop below `cap`
+function windowFreesAt(buckets, windowMs, cap, now) {
+    const minutes = Object.keys(buckets).map(Number).filter(minute => minute > now - windowMs).sort((a, b) => a - b);
+    let total = minutes.reduce((sum, minute) => sum + buckets[minute], 0);
+    for (const minute of minutes) {
+        total -= buckets[minute];
+        if (total < cap) return new Date(minute + windowMs + MINUTE_MS);
+    }
+    return new Date(now + MINUTE_MS);
+}
+
+// Returns an error message, or null when delayMs is allowed
+function validateDelay(delayMs) {
+    if (!Number.isFinite(delayMs) || delayMs < 0) {
+        return "Delay must be a non-negative number";
+    }
+    if (delayMs < LIMITS.minDelayMs) {
+        return `Delay must be at least ${LIMITS.minDelayMs / 1000}s between messages`;
+    }
+    return null;
+}
+
+// Tasks created before a stricter minimum still wait at least that long
+function effectiveDelay(delayMs) {
+    return Math.max(LIMITS.minDelayMs, Number(delayMs) || 0);
+}
+
+// Returns an error message when another task may not start
+function checkConcurrency({ sessionId, ownerId, sessionTasks, ownerTasks }) {
+    const sessionLimit = limitsFor("session", sessionId).concurrentTasks;
+    const ownerLimit = limitsFor("owner", ownerId).concurrentTasks;
+    if (sessionLimit && sessionTasks >= sessionLimit) {
+        return `This session already has ${sessionTasks} running task(s); the limit is ${sessionLimit}`;
+    }
+    if (ownerLimit && ownerTasks >= ownerLimit) {
+        return `You already have ${ownerTasks} running task(s); the limit is ${ownerLimit}`;
+    }
+    return null;
+}
+
+// Returns null while the session and owner have quota left, otherwise
+// { scope, window, limit, used, reason, resumeAt }
+function checkQuota(sessionId, ownerId, now = Date.now()) {
+    const all = load();
+    const scopes = [
+        { scope: "session", key: `session:${sessionId}`, limits: limitsFor("session", sessionId), label: `Session ${sessionId}` },
+        { scope: "owner", key: `owner:${ownerId}`, limits: limitsFor("owner", ownerId), label: "Your account" }
+    ];
+
+    for (const { scope, key, limits, label } of scopes) {
+        const buckets = all[key] || {};
+        for (const window of WINDOWS) {
+            const limit = limits[window.name];
+            if (!limit) continue;
+
+            const used = countSince(buckets, now - window.ms);
+            if (used >= limit) {
+                const resumeAt = windowFreesAt(buckets, window.ms, limit, now);
+                return {
+                    scope,
+                    window: window.name,
+                    limit,
+                    used,
+                    reason: `${label} reached its ${window.name} cap of ${limit} messages per ${window.label}`,
+                    resumeAt: resumeAt.toISOString()
+                };
+            }
+        }
+    }
+    return null;
+}
+
+// Counts one sent message against both the session and the owner
+function recordSend(sessionId, ownerId, now = Date.now()) {
+    const all = load();
+    const minute = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    for (const key of [`session:${sessionId}`, `owner:${ownerId}`]) {
+        const buckets = all[key] || (all[key] = {});
+        buckets[minute] = (buckets[minute] || 0) + 1;
+        prune(buckets, now);
+    }
+    save();
+}
+
+function usageFor(scope, id, now = Date.now()) {
+    const buckets = load()[`${scope}:${id}`] || {};
+    return {
+        hourly: countSince(buckets, now - HOUR_MS),
+        daily: countSince(buckets, now - DAY_MS)
+    };
+}
+
+module.exports = {
+    LIMITS,
+    CAP_FIELDS,
+    limitsFor,
+    overridesFor,
+    setLimits,
+    validateDelay,
+    effectiveDelay,
+    checkConcurrency,
+    checkQuota,
+    recordSend,
+    usageFor
+};
@@ -0,0 +1,122 @@
+// lib/schedules.js - one-off and cron schedules for send tasks, persisted under data/schedules/
+const fs = require("fs");
+const path = require("path");
+const cron = require("./cron");
+
+const SCHEDULES_DIR = path.join("data", "schedules");
+
+const schedules = new Map();
+
+function ensureDir() {
+    if (!fs.existsSync(SCHEDULES_DIR)) fs.mkdirSync(SCHEDULES_DIR, { recursive: true });
+}
+
+function statePath(scheduleId) {
+    return path.join(SCHEDULES_DIR, `${scheduleId}.json`);
+}
+
+// Attachments stay here for every run; each run copies them into its task
+function attachmentsDir(scheduleId) {
+    return path.join(SCHEDULES_DIR, `${scheduleId}.attachments`);
+}
+
+function save(schedule) {
+    ensureDir();
+    schedule.updatedAt = new Date().toISOString();
+    const tmp = `${statePath(schedule.scheduleId)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(schedule));
+    fs.renameSync(tmp, statePath(schedule.scheduleId));
+    schedules.set(schedule.scheduleId, schedule);
+    return schedule;
+}
+
+function get(scheduleId) {
+    return schedules.get(scheduleId) || null;
+}
+
+function listByOwner(ownerId) {
+    return [...schedules.values()]
+        .filter(schedule => schedule.ownerId === ownerId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function remove(scheduleId) {
+    schedules.delete(scheduleId);
+    try { if (fs.existsSync(statePath(scheduleId))) fs.unlinkSync(statePath(scheduleId)); } catch (e) { }
+    try { fs.rmSync(attachmentsDir(scheduleId), { recursive: true, force: true }); } catch (e) { }
+}
+
+function load() {
+    if (!fs.existsSync(SCHEDULES_DIR)) return [];
+
+    for (const file of fs.readdirSync(SCHEDULES_DIR)) {
+        if (!file.endsWith(".json")) continue;
+        try {
+            const schedule = JSON.parse(fs.readFileSync(path.join(SCHEDULES_DIR, file), "utf-8"));
+            schedules.set(schedule.scheduleId, schedule);
+        } catch (err) {
+            console.error(`⚠️ Skipping unreadable schedule ${file}:`, err.message);
+        }
+    }
+    return [...schedules.values()];
+}
+
+// Validates runAt (an ISO date) or cron (five fields) and works out the first
+// run. Throws with a user-facing message when the timing is invalid.
+function planTiming({ runAt, cron: expression, timezone }, now = new Date()) {
+    const timeZone = timezone || cron.defaultTimeZone();
+    if (!cron.isValidTimeZone(timeZone)) throw new Error(`Unknown time zone "${timezone}"`);
+    if (runAt && expression) throw new Error("Use either runAt or cron, not both");
+
+    if (expression) {
+        const nextRunAt = cron.nextRun(expression, { after: now, timeZone });
+        if (!nextRunAt) throw new Error(`Cron expression "${expression}" never matches`);
+        return { runAt: null, cron: String(expression).trim(), timezone: timeZone, nextRunAt: nextRunAt.toISOString() };
+    }
+
+    if (!runAt) throw new Error("runAt or cron is required");
+    const at = new Date(runAt);
+    if (isNaN(at.getTime())) throw new Error(`Invalid runAt "${runAt}"; use an ISO 8601 date such as 2030-01-31T09:00:00+01:00`);
+    if (at <= now) throw new Error("runAt must be in the future");
+    return { runAt: at.toISOString(), cron: null, timezone: timeZone, nextRunAt: at.toISOString() };
+}
+
+// Records a finished (or skipped) run and moves the schedule to its next run.
+// One-off schedules end up "completed" or "failed".
+function recordRun(schedule, { taskId = null, error = null, at = new Date() }) {
+    schedule.lastRunAt = at.toISOString();
+    schedule.lastTaskId = taskId || schedule.lastTaskId || null;
+    schedule.lastError = error;
+    if (taskId) schedule.runCount = (schedule.runCount || 0) + 1;
+
+    if (schedule.cron) {
+        const due = new Date(schedule.nextRunAt);
+        const after = due > at ? due : at;
+        const next = cron.nextRun(schedule.cron, { after, timeZone: schedule.timezone });
+        schedule.nextRunAt = next ? next.toISOString() : null;
+        if (!next) schedule.status = "completed";
+    } else {
+        schedule.nextRunAt = null;
+        schedule.status = error ? "failed" : "completed";
+    }
+    return save(schedule);
+}
+
+// Active schedules whose next run is at or before `now`
+function due(now = new Date()) {
+    return [...schedules.values()].filter(schedule =>
+        schedule.status === "active" && schedule.nextRunAt && new Date(schedule.nextRunAt) <= now
+    );
+}
+
+module.exports = {
+    attachmentsDir,
+    save,
+    get,
+    listByOwner,
+    remove,
+    load,
+    planTiming,
+    recordRun,
+    due
+};
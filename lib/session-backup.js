@@ -0,0 +1,115 @@
+// lib/session-backup.js - a session's auth state and metadata as a
+// passphrase-encrypted, versioned bundle that can be restored on another
+// instance (e.g. after a redeploy wiped temp/)
+const crypto = require("crypto");
+
+const FORMAT = "wbs-session-backup";
+const VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 12;
+// scrypt cost; stored in the bundle so N can be raised later. Bundles are
+// uploaded, so open() only accepts N up to MAX_N and exactly this r and p,
+// which bounds the memory and time one import can cost.
+const KDF = { name: "scrypt", N: 2 ** 14, r: 8, p: 1 };
+const MAX_N = 2 ** 17;
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function checkPassphrase(passphrase) {
+    if (typeof passphrase !== "string" || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw httpError(400, `passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+// Async so a key derivation does not block the event loop
+function deriveKey(passphrase, kdf, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, salt, 32, { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r }, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+function isSupportedKdf(kdf) {
+    return kdf.name === KDF.name
+        && Number.isInteger(kdf.N) && kdf.N >= KDF.N && kdf.N <= MAX_N && (kdf.N & (kdf.N - 1)) === 0
+        && kdf.r === KDF.r
+        && kdf.p === KDF.p
+        && typeof kdf.salt === "string";
+}
+
+// The plaintext header is bound to the ciphertext, so the owner and number
+// it shows cannot be edited without breaking decryption
+function headerAad(header) {
+    return Buffer.from(JSON.stringify([header.format, header.version, header.sessionId, header.ownerId, header.number, header.createdAt]));
+}
+
+// `files` are auth file contents by name (see authState.readDir)
+async function create({ sessionId, ownerId, number, meta, files }, passphrase) {
+    checkPassphrase(passphrase);
+
+    const header = { format: FORMAT, version: VERSION, sessionId, ownerId, number: number || null, createdAt: new Date().toISOString() };
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", await deriveKey(passphrase, KDF, salt), iv);
+    cipher.setAAD(headerAad(header));
+    const data = Buffer.concat([cipher.update(JSON.stringify({ meta, files }), "utf-8"), cipher.final()]);
+
+    return {
+        ...header,
+        kdf: { ...KDF, salt: salt.toString("base64") },
+        cipher: "aes-256-gcm",
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        data: data.toString("base64")
+    };
+}
+
+// Resolves to { header, meta, files }; rejects with a status for unreadable
+// bundles and wrong passphrases
+async function open(bundle, passphrase) {
+    if (!bundle || typeof bundle !== "object" || bundle.format !== FORMAT) {
+        throw httpError(400, "Not a session backup");
+    }
+    if (bundle.version !== VERSION) {
+        throw httpError(400, `Unsupported backup version ${bundle.version}; this server reads version ${VERSION}`);
+    }
+    if (typeof passphrase !== "string" || !passphrase) throw httpError(400, "passphrase is required");
+
+    const { kdf = {} } = bundle;
+    if (!kdf || typeof kdf !== "object" || !isSupportedKdf(kdf) || bundle.cipher !== "aes-256-gcm") {
+        throw httpError(400, "Unsupported backup encryption");
+    }
+
+    const header = {
+        format: bundle.format,
+        version: bundle.version,
+        sessionId: bundle.sessionId,
+        ownerId: bundle.ownerId,
+        number: bundle.number,
+        createdAt: bundle.createdAt
+    };
+    let payload;
+    try {
+        const key = await deriveKey(passphrase, kdf, Buffer.from(kdf.salt, "base64"));
+        const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(bundle.iv, "base64"));
+        decipher.setAAD(headerAad(header));
+        decipher.setAuthTag(Buffer.from(bundle.tag, "base64"));
+        const text = Buffer.concat([decipher.update(Buffer.from(bundle.data, "base64")), decipher.final()]).toString("utf-8");
+        payload = JSON.parse(text);
+    } catch (err) {
+        throw httpError(400, "Wrong passphrase or damaged backup");
+    }
+    return { header, meta: payload.meta || {}, files: payload.files || {} };
+}
+
+module.exports = {
+    FORMAT,
+    VERSION,
+    create,
+    open
+};
@@ -0,0 +1,204 @@
+// lib/simulator.js - in-memory stand-in for a Baileys socket. Fakes pairing,
+// groups, sends, server acks, delivery/read receipts, disconnects and send
+// errors without anything reaching WhatsApp.
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const SETTINGS = {
+    latencyMs: envNumber("SIM_LATENCY_MS", 150),
+    // Share of sends that throw
+    failRate: Math.min(1, envNumber("SIM_FAIL_RATE", 0)),
+    // Share of recipients that read a message after receiving it
+    readRate: Math.min(1, envNumber("SIM_READ_RATE", 0.5)),
+    // The socket drops after this many sends; 0 never drops
+    disconnectAfter: envNumber("SIM_DISCONNECT_AFTER", 0),
+    // How long the simulated phone takes to scan the QR / enter the code
+    pairDelayMs: envNumber("SIM_PAIR_DELAY_MS", 5000),
+    groups: envNumber("SIM_GROUPS", 5)
+};
+
+// Dry runs rehearse a real task, so their socket never fails or drops;
+// SIM_FAIL_RATE and SIM_DISCONNECT_AFTER only apply to TRANSPORT=simulator
+const DRY_RUN_SETTINGS = {
+    latencyMs: envNumber("DRY_RUN_LATENCY_MS", 150),
+    failRate: 0,
+    readRate: Math.min(1, envNumber("DRY_RUN_READ_RATE", 0.5)),
+    disconnectAfter: 0
+};
+
+const VERSION = [2, 3000, 0];
+const CLOSED = 428;
+const RESTART_REQUIRED = 515;
+
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString("hex").toUpperCase();
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function closedError() {
+    return Object.assign(new Error("Connection Closed"), { output: { statusCode: CLOSED } });
+}
+
+function participantsFor(groupIndex, count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `1555${String(groupIndex).padStart(3, "0")}${String(i).padStart(4, "0")}@s.whatsapp.net`,
+        admin: i === 0 ? "superadmin" : null
+    }));
+}
+
+// Same IDs on every run so schedules and saved targets keep working
+function simulatedGroups() {
+    const groups = {};
+    const createdAt = Math.floor(Date.now() / 1000) - 30 * 24 * 3600;
+    for (let i = 1; i <= SETTINGS.groups; i++) {
+        const id = `120363${String(i).padStart(12, "0")}@g.us`;
+        groups[id] = {
+            id,
+            subject: `Simulated group ${i}`,
+            participants: participantsFor(i, 2 + i * 3),
+            announce: i === 1,
+            restrict: false,
+            creation: createdAt,
+            subjectOwner: `15550000000@s.whatsapp.net`,
+            subjectTime: createdAt
+        };
+    }
+    return groups;
+}
+
+// Group metadata in Baileys' shape from a session's /groups listing
+function fromListing(listing) {
+    const groups = {};
+    (listing || []).forEach((group, index) => {
+        groups[group.id] = {
+            id: group.id,
+            subject: group.name,
+            participants: participantsFor(index + 1, group.participants || 0),
+            announce: group.isAnnouncement || false,
+            restrict: group.isLocked || false
+        };
+    });
+    return groups;
+}
+
+// Options:
+//   creds   auth creds; unregistered creds go through a simulated pairing
+//   groups  a /groups listing to mirror; the socket then starts open, as the
+//           dry-run double of an already connected session
+//   user    socket.user for a dry-run double
+//   settings overrides of SETTINGS, e.g. DRY_RUN_SETTINGS
+function createSocket({ creds = null, groups = null, user = null, settings = {} }) {
+    const config = { ...SETTINGS, ...settings };
+    const ev = new EventEmitter();
+    const groupData = groups ? fromListing(groups) : simulatedGroups();
+    const timers = new Set();
+    let closed = false;
+    let sends = 0;
+
+    const later = (ms, fn) => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            if (!closed) fn();
+        }, ms);
+        timers.add(timer);
+    };
+
+    const close = (statusCode, message) => {
+        if (closed) return;
+        closed = true;
+        timers.forEach(clearTimeout);
+        const error = Object.assign(new Error(message), { output: { statusCode } });
+        ev.emit("connection.update", { connection: "close", lastDisconnect: { error, date: new Date() } });
+    };
+
+    const socket = {
+        ev,
+        user,
+        simulated: true,
+
+        async groupFetchAllParticipating() {
+            await sleep(config.latencyMs);
+            if (closed) throw closedError();
+            return groupData;
+        },
+
+        async sendMessage(jid, content) {
+            await sleep(config.latencyMs);
+            if (closed) throw closedError();
+
+            sends++;
+            if (config.disconnectAfter && sends > config.disconnectAfter) {
+                close(CLOSED, "Connection Closed");
+                throw closedError();
+            }
+            if (Math.random() < config.failRate) {
+                throw new Error("Simulated send failure");
+            }
+
+            const key = { remoteJid: jid, fromMe: true, id: `SIM${randomId(8)}` };
+            const recipients = jid.endsWith("@g.us")
+                ? (groupData[jid]?.participants || []).map(participant => participant.id)
+                : [jid];
+
+            later(config.latencyMs, () => ev.emit("messages.update", [{ key, update: { status: 2 } }]));
+            recipients.forEach((userJid, i) => {
+                const at = () => Math.floor(Date.now() / 1000);
+                later(config.latencyMs * 2 + i * 10, () => {
+                    ev.emit("message-receipt.update", [{ key, receipt: { userJid, receiptTimestamp: at() } }]);
+                });
+                if (Math.random() < config.readRate) {
+                    later(config.latencyMs * 4 + i * 10, () => {
+                        ev.emit("message-receipt.update", [{ key, receipt: { userJid, readTimestamp: at() } }]);
+                    });
+                }
+            });
+
+            return { key, message: content, messageTimestamp: Math.floor(Date.now() / 1000) };
+        },
+
+        async requestPairingCode() {
+            await sleep(config.latencyMs);
+            if (closed) throw closedError();
+            return randomId(4);
+        },
+
+        end() {
+            close(CLOSED, "Connection Closed");
+        }
+    };
+
+    if (creds) {
+        if (creds.registered) {
+            later(config.latencyMs, () => {
+                socket.user = { id: creds.me?.id || "15550000000:1@s.whatsapp.net", name: "Simulator" };
+                ev.emit("connection.update", { connection: "open" });
+            });
+        } else {
+            later(config.latencyMs, () => ev.emit("connection.update", { qr: `SIMULATED-QR-${randomId(16)}` }));
+            // Like WhatsApp, a fresh pairing is followed by a restart request
+            later(config.pairDelayMs, () => {
+                creds.registered = true;
+                creds.me = { id: `1555${String(Math.floor(Math.random() * 1e7)).padStart(7, "0")}:1@s.whatsapp.net` };
+                ev.emit("creds.update", { registered: true, me: creds.me });
+                later(config.latencyMs, () => close(RESTART_REQUIRED, "Restart Required"));
+            });
+        }
+    }
+
+    return socket;
+}
+
+module.exports = {
+    SETTINGS,
+    DRY_RUN_SETTINGS,
+    VERSION,
+    createSocket
+};
@@ -0,0 +1,217 @@
+// lib/task-history.js - finished tasks (completed, stopped or failed) with
+// every message's outcome, kept under data/history/ after the task itself
+// is dropped from memory
+const fs = require("fs");
+const path = require("path");
+const taskStore = require("./task-store");
+const deliveryTracker = require("./delivery-tracker");
+const media = require("./media");
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const HISTORY_DIR = path.join("data", "history");
+// Records older than this many days are deleted; 0 keeps them forever
+const RETENTION_DAYS = envNumber("TASK_HISTORY_DAYS", 90);
+const CSV_COLUMNS = ["taskId", "index", "messageIndex", "recipient", "name", "text", "attachment", "status", "error", "sentAt", "deliveredAt", "readAt", "deliveredTo", "readBy"];
+
+// taskId -> record without its messages, for listing and filtering
+const summaries = new Map();
+
+function ensureDir() {
+    if (!fs.existsSync(HISTORY_DIR)) fs.mkdirSync(HISTORY_DIR, { recursive: true });
+}
+
+function recordPath(taskId) {
+    return path.join(HISTORY_DIR, `${taskId}.json`);
+}
+
+// One entry per delivery slot (message-major, recipient-minor). Slots that
+// were never attempted are "not_sent", or "removed" if /update-task dropped
+// their target. `text` is what the recipient was sent; slots without an
+// attempt (or from before it was recorded) show the message template.
+function messageOutcomes(taskInfo) {
+    let entries = [];
+    try { entries = taskStore.loadTaskMessages(taskInfo.taskId); } catch (e) { }
+
+    const deliveries = new Map(deliveryTracker.getDeliveries(taskInfo.taskId).map(delivery => [delivery.index, delivery]));
+    const recipientCount = taskInfo.results.length;
+    const outcomes = [];
+
+    for (let index = 0; index < taskInfo.messagesPerTarget * recipientCount; index++) {
+        const result = taskInfo.results[index % recipientCount];
+        const messageIndex = Math.floor(index / recipientCount);
+        const entry = entries[messageIndex];
+        const delivery = deliveries.get(index);
+        const receipts = Object.values(delivery?.receipts || {});
+
+        outcomes.push({
+            index,
+            messageIndex,
+            recipient: result.recipient,
+            name: result.name || null,
+            text: delivery?.text ?? (entry !== undefined ? media.messageText(entry) : null),
+            attachment: entry?.attachment?.fileName || null,
+            messageId: delivery?.messageId || null,
+            status: delivery ? delivery.status : (result.removed ? "removed" : "not_sent"),
+            error: delivery?.error || null,
+            sentAt: delivery?.sentAt || null,
+            deliveredAt: delivery?.deliveredAt || null,
+            readAt: delivery?.readAt || null,
+            deliveredTo: receipts.length,
+            readBy: receipts.filter(state => state === "read").length
+        });
+    }
+    return outcomes;
+}
+
+function countOutcomes(messages) {
+    const counts = {};
+    for (const message of messages) counts[message.status] = (counts[message.status] || 0) + 1;
+    return counts;
+}
+
+// Writes (or rewrites, once late receipts are in) the history record of a
+// finished task. `status` is "completed", "stopped" or "failed".
+function archive(taskInfo, status) {
+    const messages = messageOutcomes(taskInfo);
+    const summary = {
+        taskId: taskInfo.taskId,
+        ownerId: taskInfo.ownerId,
+        sessionId: taskInfo.sessionId,
+        status,
+        targetType: taskInfo.targetType,
+        target: taskInfo.target,
+        audience: taskInfo.audience || null,
+        scheduleId: taskInfo.scheduleId || null,
+        dryRun: taskInfo.dryRun || false,
+        prefix: taskInfo.prefix || "",
+        totalMessages: taskInfo.totalMessages,
+        sentMessages: taskInfo.sentMessages,
+        failedMessages: taskInfo.failedMessages,
+        skippedMessages: taskInfo.skippedMessages,
+        outcomes: countOutcomes(messages),
+        groups: taskInfo.results.map(result => ({
+            recipient: result.recipient,
+            name: result.name || null,
+            sent: result.sent,
+            failed: result.failed,
+            skipped: result.skipped,
+            removed: result.removed || false,
+            error: result.error
+        })),
+        startTime: taskInfo.startTime,
+        endTime: taskInfo.endTime,
+        endedBy: taskInfo.endedBy || null,
+        error: taskInfo.error || null,
+        archivedAt: new Date().toISOString()
+    };
+
+    try {
+        ensureDir();
+        const tmp = `${recordPath(taskInfo.taskId)}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ ...summary, messages }));
+        fs.renameSync(tmp, recordPath(taskInfo.taskId));
+        summaries.set(taskInfo.taskId, JSON.parse(JSON.stringify(summary)));
+    } catch (err) {
+        console.error(`⚠️ Could not archive task ${taskInfo.taskId}:`, err.message);
+    }
+    prune();
+    return summary;
+}
+
+function get(taskId) {
+    return summaries.get(taskId) || null;
+}
+
+// The full record, including messages
+function loadRecord(taskId) {
+    if (!summaries.has(taskId)) return null;
+    return JSON.parse(fs.readFileSync(recordPath(taskId), "utf-8"));
+}
+
+// An owner's records, newest first. Filters: status, sessionId, audience,
+// dryRun (boolean), search (in target, audience or group names), from, to
+// (compared with the start time)
+function query(ownerId, { status, sessionId, audience, dryRun, search, from, to } = {}) {
+    const statuses = status ? String(status).split(",").map(s => s.trim()) : null;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const needle = search ? String(search).toLowerCase() : null;
+
+    return [...summaries.values()]
+        .filter(record => record.ownerId === ownerId)
+        .filter(record => !statuses || statuses.includes(record.status))
+        .filter(record => !sessionId || record.sessionId === sessionId)
+        .filter(record => !audience || (record.audience || "").toLowerCase() === String(audience).toLowerCase())
+        .filter(record => dryRun === undefined || record.dryRun === dryRun)
+        .filter(record => {
+            const started = new Date(record.startTime).getTime();
+            return (!fromTime || started >= fromTime) && (!toTime || started <= toTime);
+        })
+        .filter(record => !needle || [record.target, record.audience, ...record.groups.map(group => group.name)]
+            .some(value => value && String(value).toLowerCase().includes(needle)))
+        .sort((a, b) => String(b.startTime).localeCompare(String(a.startTime)));
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per message of the record
+function toCsv(record) {
+    const rows = record.messages.map(message => CSV_COLUMNS.map(column => csvCell(column === "taskId" ? record.taskId : message[column])).join(","));
+    return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+function remove(taskId) {
+    summaries.delete(taskId);
+    try { if (fs.existsSync(recordPath(taskId))) fs.unlinkSync(recordPath(taskId)); } catch (e) { }
+}
+
+// Deletes records that ended more than RETENTION_DAYS ago
+function prune(now = Date.now()) {
+    if (!RETENTION_DAYS) return 0;
+    const cutoff = now - RETENTION_DAYS * 24 * 3600 * 1000;
+    let removed = 0;
+    for (const record of [...summaries.values()]) {
+        if (new Date(record.endTime || record.archivedAt).getTime() < cutoff) {
+            remove(record.taskId);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+function load() {
+    if (!fs.existsSync(HISTORY_DIR)) return [];
+
+    for (const file of fs.readdirSync(HISTORY_DIR)) {
+        if (!file.endsWith(".json")) continue;
+        try {
+            const { messages, ...summary } = JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, file), "utf-8"));
+            summaries.set(summary.taskId, summary);
+        } catch (err) {
+            console.error(`⚠️ Skipping unreadable history record ${file}:`, err.message);
+        }
+    }
+    prune();
+    return [...summaries.values()];
+}
+
+module.exports = {
+    RETENTION_DAYS,
+    archive,
+    get,
+    loadRecord,
+    query,
+    toCsv,
+    prune,
+    load
+};
@@ -0,0 +1,114 @@
+// lib/task-store.js - JSON checkpoints for send tasks so they survive a restart
+const fs = require("fs");
+const path = require("path");
+
+const TASKS_DIR = path.join("data", "tasks");
+const DATE_FIELDS = ["startTime", "lastUpdate", "endTime", "lastError"];
+
+function ensureDir() {
+    if (!fs.existsSync(TASKS_DIR)) fs.mkdirSync(TASKS_DIR, { recursive: true });
+}
+
+function statePath(taskId) {
+    return path.join(TASKS_DIR, `${taskId}.json`);
+}
+
+function messagesPath(taskId) {
+    return path.join(TASKS_DIR, `${taskId}.messages.json`);
+}
+
+// Uploaded attachments are moved here so a resumed task can still send them
+function attachmentsDir(taskId) {
+    return path.join(TASKS_DIR, `${taskId}.attachments`);
+}
+
+function deliveriesPath(taskId) {
+    return path.join(TASKS_DIR, `${taskId}.deliveries.jsonl`);
+}
+
+// Write to a temp file first so a crash mid-write never leaves a torn checkpoint
+function writeJsonAtomic(file, data) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+}
+
+// Called once when a task is created; the message list never changes after that
+function saveTask(taskInfo, messages) {
+    ensureDir();
+    writeJsonAtomic(messagesPath(taskInfo.taskId), messages);
+    writeJsonAtomic(statePath(taskInfo.taskId), taskInfo);
+}
+
+// Called after every send to record the cursor and counters
+function checkpointTask(taskInfo) {
+    try {
+        ensureDir();
+        writeJsonAtomic(statePath(taskInfo.taskId), taskInfo);
+    } catch (err) {
+        console.error(`⚠️ Could not checkpoint task ${taskInfo.taskId}:`, err.message);
+    }
+}
+
+function loadTaskMessages(taskId) {
+    return JSON.parse(fs.readFileSync(messagesPath(taskId), "utf-8"));
+}
+
+// Delivery and receipt events are appended one JSON object per line
+function appendDeliveryEvent(taskId, event) {
+    try {
+        ensureDir();
+        fs.appendFileSync(deliveriesPath(taskId), JSON.stringify(event) + "\n");
+    } catch (err) {
+        console.error(`⚠️ Could not record delivery event for ${taskId}:`, err.message);
+    }
+}
+
+function loadDeliveryEvents(taskId) {
+    if (!fs.existsSync(deliveriesPath(taskId))) return [];
+
+    const events = [];
+    for (const line of fs.readFileSync(deliveriesPath(taskId), "utf-8").split("\n")) {
+        if (!line.trim()) continue;
+        // A crash can leave a partial last line behind
+        try { events.push(JSON.parse(line)); } catch (e) { }
+    }
+    return events;
+}
+
+function removeTask(taskId) {
+    for (const file of [statePath(taskId), messagesPath(taskId), deliveriesPath(taskId)]) {
+        try { if (fs.existsSync(file)) fs.unlinkSync(file); } catch (e) { }
+    }
+    try { fs.rmSync(attachmentsDir(taskId), { recursive: true, force: true }); } catch (e) { }
+}
+
+function loadTasks() {
+    if (!fs.existsSync(TASKS_DIR)) return [];
+
+    const tasks = [];
+    for (const file of fs.readdirSync(TASKS_DIR)) {
+        if (!file.endsWith(".json") || file.endsWith(".messages.json")) continue;
+        try {
+            const taskInfo = JSON.parse(fs.readFileSync(path.join(TASKS_DIR, file), "utf-8"));
+            for (const field of DATE_FIELDS) {
+                if (taskInfo[field]) taskInfo[field] = new Date(taskInfo[field]);
+            }
+            tasks.push(taskInfo);
+        } catch (err) {
+            console.error(`⚠️ Skipping unreadable task checkpoint ${file}:`, err.message);
+        }
+    }
+    return tasks;
+}
+
+module.exports = {
+    attachmentsDir,
+    saveTask,
+    checkpointTask,
+    loadTaskMessages,
+    appendDeliveryEvent,
+    loadDeliveryEvents,
+    removeTask,
+    loadTasks
+};
@@ -0,0 +1,92 @@
+// lib/templates.js - {{placeholder}} substitution for task messages
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+const VARIABLE_NAME = /^[A-Za-z_]\w*$/;
+
+function pad(n) {
+    return String(n).padStart(2, "0");
+}
+
+// Built-in values take precedence over custom variables of the same name
+function buildContext({ sessionId, sessionInfo, recipient, group, variables = {}, now = new Date() }) {
+    return {
+        builtins: {
+            group: group
+                ? {
+                    id: group.id,
+                    name: group.name,
+                    participants: group.participants,
+                    isAnnouncement: group.isAnnouncement,
+                    isLocked: group.isLocked
+                }
+                : undefined,
+            session: { id: sessionId, number: sessionInfo?.number },
+            recipient: { id: recipient, number: recipient ? recipient.split("@")[0] : undefined },
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            time: `${pad(now.getHours())}:${pad(now.getMinutes())}`
+        },
+        vars: variables
+    };
+}
+
+function lookup(context, key) {
+    const builtin = key.split(".").reduce(
+        (value, part) => (value !== undefined && value !== null && Object.prototype.hasOwnProperty.call(value, part) ? value[part] : undefined),
+        context.builtins
+    );
+    if (builtin !== undefined && builtin !== null && typeof builtin !== "object") return builtin;
+    if (Object.prototype.hasOwnProperty.call(context.vars, key)) return context.vars[key];
+    return undefined;
+}
+
+// Unknown placeholders are left in place and reported in `missing`
+function renderTemplate(text, context) {
+    const missing = [];
+    const rendered = String(text || "").replace(PLACEHOLDER, (match, key) => {
+        const value = lookup(context, key);
+        if (value === undefined) {
+            missing.push(key);
+            return match;
+        }
+        return String(value);
+    });
+    return { text: rendered, missing };
+}
+
+// Renders a message entry (plain string or { text, attachment })
+function renderEntry(entry, context) {
+    if (typeof entry === "string") return renderTemplate(entry, context).text;
+    return { ...entry, text: renderTemplate(entry.text, context).text };
+}
+
+// Accepts an object or a JSON object string of string/number/boolean values
+function parseVariables(value) {
+    if (value === undefined || value === null || value === "") return {};
+
+    let variables = value;
+    if (typeof value === "string") {
+        try {
+            variables = JSON.parse(value);
+        } catch (err) {
+            throw new Error("variables must be a JSON object");
+        }
+    }
+    // Plain objects only: not null, arrays, strings or numbers
+    const proto = variables !== null && typeof variables === "object" ? Object.getPrototypeOf(variables) : undefined;
+    if (proto !== Object.prototype && proto !== null) {
+        throw new Error("variables must be a JSON object");
+    }
+    for (const [name, v] of Object.entries(variables)) {
+        if (!VARIABLE_NAME.test(name)) throw new Error(`Invalid variable name "${name}"`);
+        if (!["string", "number", "boolean"].includes(typeof v)) {
+            throw new Error(`Variable "${name}" must be a string, number or boolean`);
+        }
+    }
+    return variables;
+}
+
+module.exports = {
+    buildContext,
+    renderTemplate,
+    renderEntry,
+    parseVariables
+};
@@ -0,0 +1,37 @@
+// lib/transport.js - where sockets come from. TRANSPORT=simulator replaces
+// WhatsApp (Baileys) with lib/simulator.js so the server runs entirely
+// offline; dry-run tasks get a simulated socket either way.
+const { makeWASocket, fetchLatestBaileysVersion } = require("@whiskeysockets/baileys");
+const simulator = require("./simulator");
+const groupCache = require("./group-cache");
+
+const NAME = process.env.TRANSPORT === "simulator" ? "simulator" : "baileys";
+
+async function socketVersion() {
+    if (NAME === "simulator") return simulator.VERSION;
+    const { version } = await fetchLatestBaileysVersion();
+    return version;
+}
+
+// `options` are makeWASocket options; the simulator only uses the creds
+function createSocket(options) {
+    if (NAME === "simulator") return simulator.createSocket({ creds: options.auth.creds });
+    return makeWASocket(options);
+}
+
+// Double of a session's socket for dry runs: same groups and user, but
+// sends never leave the server and never fail (see DRY_RUN_SETTINGS)
+function dryRunSocket(sessionInfo) {
+    return simulator.createSocket({
+        groups: groupCache.list(sessionInfo),
+        user: sessionInfo.client?.user || null,
+        settings: simulator.DRY_RUN_SETTINGS
+    });
+}
+
+module.exports = {
+    NAME,
+    socketVersion,
+    createSocket,
+    dryRunSocket
+};
@@ -0,0 +1,416 @@
+// lib/webhooks.js - owner-registered URLs that receive task and session
+// events as HMAC-signed POSTs, retried with exponential backoff, with a
+// per-webhook delivery log
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+
+const WEBHOOKS_FILE = path.join("data", "webhooks.json");
+const DELIVERIES_FILE = path.join("data", "webhook-deliveries.json");
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const RETRY = {
+    baseMs: envNumber("WEBHOOK_RETRY_BASE_MS", 10000),
+    maxMs: envNumber("WEBHOOK_RETRY_MAX_MS", 60 * 60 * 1000),
+    maxAttempts: Math.max(1, envNumber("WEBHOOK_MAX_ATTEMPTS", 6))
+};
+const TIMEOUT_MS = envNumber("WEBHOOK_TIMEOUT_MS", 10000);
+// Deliveries kept per webhook for the log
+const LOG_SIZE = envNumber("WEBHOOK_LOG_SIZE", 100);
+// Webhook URLs are owner input, so by default they may not reach this host,
+// its private network or a cloud metadata endpoint. Set for local testing.
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.168.0.0", 16],
+    ["224.0.0.0", 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+// IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::/96) and 6to4 (2002::/16)
+// addresses embed an IPv4 address, so they are refused like internal ones
+for (const [network, prefix] of [
+    ["::", 96],
+    ["64:ff9b::", 96],
+    ["2002::", 16],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+const EVENTS = [
+    "task.started",
+    "task.completed",
+    "task.stopped",
+    "task.failed",
+    "session.connected",
+    "session.disconnected",
+    "session.logged_out",
+    "pairing.timeout"
+];
+
+let hooks = null;
+let deliveries = null;
+const retryTimers = new Map();
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function writeJsonAtomic(file, data) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+}
+
+function loadHooks() {
+    if (hooks) return hooks;
+    hooks = fs.existsSync(WEBHOOKS_FILE) ? JSON.parse(fs.readFileSync(WEBHOOKS_FILE, "utf-8")) : [];
+    return hooks;
+}
+
+function loadDeliveries() {
+    if (deliveries) return deliveries;
+    deliveries = fs.existsSync(DELIVERIES_FILE) ? JSON.parse(fs.readFileSync(DELIVERIES_FILE, "utf-8")) : [];
+    return deliveries;
+}
+
+function saveHooks() {
+    writeJsonAtomic(WEBHOOKS_FILE, hooks);
+}
+
+// Never throws: a failed log write must not stop deliveries
+function saveDeliveries() {
+    try {
+        writeJsonAtomic(DELIVERIES_FILE, deliveries);
+    } catch (err) {
+        console.error("⚠️ Could not save webhook deliveries:", err.message);
+    }
+}
+
+// The secret is only returned when a webhook is created or its secret rotated
+function publicHook({ secret, ...hook }) {
+    return hook;
+}
+
+// Loopback, private, link-local (incl. 169.254.169.254), CGNAT, multicast,
+// unspecified and IPv4-embedding IPv6 addresses (BlockList also matches
+// IPv4-mapped IPv6)
+function isBlockedAddress(address) {
+    if (ALLOW_PRIVATE) return false;
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function urlHost(parsed) {
+    return parsed.hostname.replace(/^\[|\]$/g, "");
+}
+
+function validateFields({ url, events }) {
+    if (url !== undefined) {
+        let parsed;
+        try { parsed = new URL(url); } catch (e) { }
+        if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+            throw httpError(400, "url must be an http(s) URL");
+        }
+        // Hostnames are checked again, once resolved, on every delivery
+        const host = urlHost(parsed);
+        if (!ALLOW_PRIVATE && (host === "localhost" || host.endsWith(".localhost") || (net.isIP(host) && isBlockedAddress(host)))) {
+            throw httpError(400, "url must not point to a local or private address");
+        }
+    }
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw httpError(400, `events must be a non-empty array of: *, ${EVENTS.join(", ")}`);
+        }
+        const unknown = events.filter(event => event !== "*" && !EVENTS.includes(event));
+        if (unknown.length > 0) throw httpError(400, `Unknown events: ${unknown.join(", ")}`);
+    }
+}
+
+function list(ownerId) {
+    return loadHooks().filter(hook => hook.ownerId === ownerId).map(publicHook);
+}
+
+function get(ownerId, webhookId) {
+    const hook = loadHooks().find(h => h.id === webhookId && h.ownerId === ownerId);
+    return hook ? publicHook(hook) : null;
+}
+
+function create(ownerId, { url, events = ["*"], description = null }) {
+    if (url === undefined) throw httpError(400, "url is required");
+    validateFields({ url, events });
+
+    const hook = {
+        id: `wh_${crypto.randomBytes(6).toString("hex")}`,
+        ownerId,
+        url,
+        events: [...new Set(events)],
+        description: description ? String(description) : null,
+        active: true,
+        secret: crypto.randomBytes(24).toString("hex"),
+        createdAt: new Date().toISOString()
+    };
+    loadHooks().push(hook);
+    saveHooks();
+    return { webhook: publicHook(hook), secret: hook.secret };
+}
+
+// { url?, events?, description?, active?, rotateSecret? }; returns the new
+// secret when it was rotated
+function update(ownerId, webhookId, { url, events, description, active, rotateSecret }) {
+    const hook = loadHooks().find(h => h.id === webhookId && h.ownerId === ownerId);
+    if (!hook) throw httpError(404, `Webhook ${webhookId} not found`);
+    validateFields({ url, events });
+
+    if (url !== undefined) hook.url = url;
+    if (events !== undefined) hook.events = [...new Set(events)];
+    if (description !== undefined) hook.description = description ? String(description) : null;
+    if (active !== undefined) hook.active = Boolean(active);
+    if (rotateSecret) hook.secret = crypto.randomBytes(24).toString("hex");
+    hook.updatedAt = new Date().toISOString();
+    saveHooks();
+    return { webhook: publicHook(hook), secret: rotateSecret ? hook.secret : undefined };
+}
+
+function remove(ownerId, webhookId) {
+    const all = loadHooks();
+    const index = all.findIndex(h => h.id === webhookId && h.ownerId === ownerId);
+    if (index === -1) return false;
+    all.splice(index, 1);
+    saveHooks();
+
+    for (const delivery of loadDeliveries().filter(d => d.webhookId === webhookId)) {
+        clearTimeout(retryTimers.get(delivery.id));
+        retryTimers.delete(delivery.id);
+    }
+    deliveries = loadDeliveries().filter(d => d.webhookId !== webhookId);
+    saveDeliveries();
+    return true;
+}
+
+// "sha256=<hex>" over "<timestamp>.<body>", keyed with the webhook's secret
+function sign(secret, timestamp, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// dns.lookup that fails for blocked addresses. The socket connects to the
+// address checked here, so a hostname cannot be re-resolved (rebound) to a
+// private address between the check and the request.
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        const blocked = addresses.find(isBlockedAddress);
+        if (blocked) return callback(new Error(`${hostname} resolves to a local or private address (${blocked})`));
+        callback(null, address, family);
+    });
+}
+
+// Resolves with the status code only; the response body is never read, so
+// a delivery cannot be used to fetch content from the target
+function post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        // IP literals skip the lookup, so they are checked here
+        const host = urlHost(target);
+        if (net.isIP(host) && isBlockedAddress(host)) {
+            return reject(new Error(`${host} is a local or private address`));
+        }
+
+        const request = (target.protocol === "https:" ? https : http).request(target, {
+            method: "POST",
+            headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+            timeout: TIMEOUT_MS,
+            lookup: guardedLookup
+        }, response => {
+            response.resume();
+            response.on("end", () => resolve({ statusCode: response.statusCode }));
+        });
+        request.on("timeout", () => request.destroy(new Error(`Timed out after ${TIMEOUT_MS}ms`)));
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+function backoffDelay(attempt) {
+    return Math.min(RETRY.maxMs, RETRY.baseMs * 2 ** (attempt - 1));
+}
+
+function scheduleAttempt(delivery, delayMs) {
+    clearTimeout(retryTimers.get(delivery.id));
+    const timer = setTimeout(() => {
+        retryTimers.delete(delivery.id);
+        attempt(delivery).catch(err => console.error(`❌ Webhook delivery ${delivery.id} crashed:`, err));
+    }, delayMs);
+    // Pending retries must not keep the process alive on shutdown
+    timer.unref();
+    retryTimers.set(delivery.id, timer);
+}
+
+async function attempt(delivery) {
+    const hook = loadHooks().find(h => h.id === delivery.webhookId);
+    if (!hook) return;
+    // Retries stop once the webhook is deactivated; a first attempt (e.g. a
+    // test delivery) still goes out
+    if (!hook.active && delivery.attempts > 0) {
+        delivery.status = "failed";
+        delivery.nextAttemptAt = null;
+        delivery.error = "Webhook deactivated";
+        saveDeliveries();
+        return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const result = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+    try {
+        const response = await post(hook.url, body, {
+            "Content-Type": "application/json",
+            "User-Agent": "whatsapp-bulk-sender-webhooks",
+            "X-Webhook-Id": hook.id,
+            "X-Webhook-Event": delivery.event,
+            "X-Webhook-Delivery": delivery.id,
+            "X-Webhook-Timestamp": String(timestamp),
+            "X-Webhook-Signature": sign(hook.secret, timestamp, body)
+        });
+        result.statusCode = response.statusCode;
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            result.error = `HTTP ${response.statusCode}`;
+        }
+    } catch (err) {
+        result.error = err.message;
+    }
+    result.durationMs = Date.now() - started;
+
+    delivery.attempts++;
+    delivery.lastAttemptAt = result.at;
+    delivery.responseStatus = result.statusCode;
+    delivery.error = result.error;
+    delivery.history.push(result);
+
+    if (!result.error) {
+        delivery.status = "delivered";
+        delivery.nextAttemptAt = null;
+    } else if (delivery.attempts >= RETRY.maxAttempts) {
+        delivery.status = "failed";
+        delivery.nextAttemptAt = null;
+        console.log(`🚫 Webhook ${hook.id} gave up on ${delivery.event} after ${delivery.attempts} attempts: ${result.error}`);
+    } else {
+        const waitMs = backoffDelay(delivery.attempts);
+        delivery.nextAttemptAt = new Date(Date.now() + waitMs).toISOString();
+        scheduleAttempt(delivery, waitMs);
+    }
+    saveDeliveries();
+}
+
+// Keeps the newest LOG_SIZE deliveries of a webhook, never dropping pending ones
+function trimLog(webhookId) {
+    const own = loadDeliveries().filter(d => d.webhookId === webhookId && d.status !== "pending");
+    const excess = new Set(own.slice(0, Math.max(0, own.length - LOG_SIZE)).map(d => d.id));
+    if (excess.size > 0) deliveries = loadDeliveries().filter(d => !excess.has(d.id));
+}
+
+function enqueue(hook, event, data) {
+    const delivery = {
+        id: `whd_${crypto.randomBytes(8).toString("hex")}`,
+        webhookId: hook.id,
+        event,
+        payload: { id: null, event, at: new Date().toISOString(), data },
+        status: "pending",
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        lastAttemptAt: null,
+        nextAttemptAt: new Date().toISOString(),
+        responseStatus: null,
+        error: null,
+        history: []
+    };
+    delivery.payload.id = delivery.id;
+
+    loadDeliveries().push(delivery);
+    trimLog(hook.id);
+    saveDeliveries();
+    scheduleAttempt(delivery, 0);
+    return delivery;
+}
+
+// Queues `event` for every active webhook of the owner that subscribed to it
+function emit(ownerId, event, data) {
+    if (!ownerId) return;
+    for (const hook of loadHooks()) {
+        if (hook.ownerId !== ownerId || !hook.active) continue;
+        if (!hook.events.includes("*") && !hook.events.includes(event)) continue;
+        enqueue(hook, event, data);
+    }
+}
+
+// Sends a "webhook.test" event to one webhook, whatever its event list
+function ping(ownerId, webhookId) {
+    const hook = loadHooks().find(h => h.id === webhookId && h.ownerId === ownerId);
+    if (!hook) throw httpError(404, `Webhook ${webhookId} not found`);
+    return enqueue(hook, "webhook.test", { webhookId, message: "Test delivery" });
+}
+
+// Sends a logged delivery's payload again as a new delivery
+function redeliver(ownerId, webhookId, deliveryId) {
+    const hook = loadHooks().find(h => h.id === webhookId && h.ownerId === ownerId);
+    const original = hook && loadDeliveries().find(d => d.id === deliveryId && d.webhookId === webhookId);
+    if (!original) throw httpError(404, `Delivery ${deliveryId} not found`);
+    return enqueue(hook, original.event, original.payload.data);
+}
+
+// A webhook's deliveries, newest first; `status` filters pending/delivered/failed
+function deliveryLog(webhookId, { status } = {}) {
+    return loadDeliveries()
+        .filter(d => d.webhookId === webhookId && (!status || d.status === status))
+        .reverse();
+}
+
+// Picks up deliveries that were still pending when the server stopped
+function start() {
+    const pending = loadDeliveries().filter(d => d.status === "pending");
+    for (const delivery of pending) {
+        const waitMs = Math.max(0, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now());
+        scheduleAttempt(delivery, waitMs);
+    }
+    return pending.length;
+}
+
+module.exports = {
+    EVENTS,
+    RETRY,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    sign,
+    emit,
+    ping,
+    redeliver,
+    deliveryLog,
+    start
+};
@@ -0,0 +1,50 @@
+// scripts/auth-state.js - encrypts existing session directories under
+// temp/ with AUTH_STATE_KEY, or re-encrypts them under a new key.
+// Stop the server first.
+//
+//   AUTH_STATE_KEY=... node scripts/auth-state.js migrate
+//   AUTH_STATE_KEY=<old> AUTH_STATE_NEW_KEY=<new> node scripts/auth-state.js rotate
+const fs = require("fs");
+const path = require("path");
+const authState = require("../lib/auth-state");
+
+const SESSIONS_DIR = "temp";
+
+function run(command) {
+    const { AUTH_STATE_KEY, AUTH_STATE_NEW_KEY, AUTH_STATE_OLD_KEYS } = process.env;
+    if (!AUTH_STATE_KEY) throw new Error("AUTH_STATE_KEY is not set");
+
+    let ring;
+    if (command === "migrate") {
+        ring = authState.keyring();
+    } else if (command === "rotate") {
+        if (!AUTH_STATE_NEW_KEY) throw new Error("AUTH_STATE_NEW_KEY is not set");
+        // Files already under the new key are left alone, so an interrupted
+        // rotation can simply be run again
+        ring = authState.keyring({ current: AUTH_STATE_NEW_KEY, old: [AUTH_STATE_KEY, AUTH_STATE_OLD_KEYS].filter(Boolean).join(",") });
+    } else {
+        throw new Error(`Unknown command "${command || ""}". Use migrate or rotate.`);
+    }
+
+    if (!fs.existsSync(SESSIONS_DIR)) {
+        console.log(`No ${SESSIONS_DIR}/ directory; nothing to do`);
+        return;
+    }
+
+    let total = 0;
+    const dirs = fs.readdirSync(SESSIONS_DIR, { withFileTypes: true }).filter(entry => entry.isDirectory());
+    for (const { name } of dirs) {
+        const rewritten = authState.reencryptDir(path.join(SESSIONS_DIR, name), ring);
+        if (rewritten > 0) console.log(`🔐 ${name}: ${rewritten} file(s) re-encrypted`);
+        total += rewritten;
+    }
+    console.log(`✅ ${total} file(s) in ${dirs.length} session(s) re-encrypted`);
+    if (command === "rotate") console.log("Now set AUTH_STATE_KEY to the new key and restart the server.");
+}
+
+try {
+    run(process.argv[2]);
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+}
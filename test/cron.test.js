@@ -0,0 +1,26 @@
+// test/cron.test.js - run with `npm test`
+const test = require("node:test");
+const assert = require("node:assert");
+const cron = require("../lib/cron");
+
+const NEW_YORK = "America/New_York";
+
+function nextIso(expression, after, timeZone) {
+    return cron.nextRun(expression, { after: new Date(after), timeZone }).toISOString();
+}
+
+test("skips over the 23-hour day when DST starts", () => {
+    // Clocks go forward on Sunday 2026-03-08; the Monday after is in EDT (UTC-4)
+    assert.strictEqual(nextIso("15 0 * * 1", "2026-03-07T12:00:00Z", NEW_YORK), "2026-03-09T04:15:00.000Z");
+    assert.strictEqual(nextIso("0 0 * * *", "2026-03-08T06:00:00Z", NEW_YORK), "2026-03-09T04:00:00.000Z");
+});
+
+test("skips over the 25-hour day when DST ends", () => {
+    // Clocks go back on Sunday 2026-11-01; the Monday after is in EST (UTC-5)
+    assert.strictEqual(nextIso("15 0 * * 1", "2026-10-31T12:00:00Z", NEW_YORK), "2026-11-02T05:15:00.000Z");
+    assert.strictEqual(nextIso("0 0 * * *", "2026-11-01T05:00:00Z", NEW_YORK), "2026-11-02T05:00:00.000Z");
+});
+
+test("a time that does not exist on the DST start day runs the next day", () => {
+    assert.strictEqual(nextIso("30 2 * * *", "2026-03-08T05:00:00Z", NEW_YORK), "2026-03-09T06:30:00.000Z");
+});